@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// headless.js - Kernel host for Node.js: no DOM, the VFS in a directory
+//
+//   node headless.js [--dir <path>] [--tick <ms>] [--verbose]
+//                    [--record <trace.json>] [-c "<command line>"]
+//   node headless.js --replay <trace.json>
+//
+// Without -c it opens an interactive shell on the terminal (Ctrl+C and
+// Ctrl+Z go to the foreground job, Ctrl+D quits); with -c it runs one
+// command line, prints its output and exits with its status, for CI and
+// scripts. --replay runs a trace recorded here or on the dashboard
+// (?record) and reports whether it reproduces.
+//
+// As a module, createHost() gives other code the same host.
+
+import fs from "node:fs";
+import readline from "node:readline";
+import { pathToFileURL } from "node:url";
+import { Kernel, NodeDirStorage, formatLogEntry, strerror } from "./kernel.js";
+
+const SHELL_PORT = 9999;
+
+// Replies of the shell to pending run() calls, by client pid.
+const pending = new Map();
+
+// Sends one command line to the shell over a connection to its port and
+// hands the SHELL_RESULT, or { error } if there is none, to run(); the
+// line is an argument so that recorded traces can replay it.
+function* shellClient(sys, line) {
+  const myPid = yield* sys.getPid();
+  const conn = yield* sys.socket();
+  let result;
+  if (yield* conn.connect(SHELL_PORT)) {
+    yield* conn.send({ command: line, from: myPid });
+    const reply = yield* conn.recv();
+    result = reply?.type === "SHELL_RESULT" ? reply : { error: "no reply from the shell" };
+  } else {
+    result = { error: `connect: ${strerror(yield* sys.errno())}` };
+  }
+  yield* conn.close();
+  const done = pending.get(myPid);
+  pending.delete(myPid);
+  if (done) done(result);
+  yield* sys.exit(0);
+}
+
+// Boot a kernel whose VFS lives in `dir` (created if missing). Ticks are
+// driven by start()/stop() on a timer, or by step(n) and run() on demand.
+// `kernelOpts` go to the Kernel (e.g. { record: true }).
+export async function createHost({
+  dir = ".kernel-vfs",
+  tickMs = 50,
+  onLog = null,
+  kernelOpts = {},
+} = {}) {
+  const kernel = new Kernel({ tickMs, storage: new NodeDirStorage(dir), ...kernelOpts });
+  await kernel.ready;
+  kernel.boot();
+
+  let timer = null;
+  let logSeq = 0;
+
+  const step = (n = 1) => {
+    for (let i = 0; i < n; i++) {
+      kernel.tick();
+      kernel.cleanupTerminated();
+    }
+    if (!onLog) return;
+    for (const entry of kernel.getLogs({ since: logSeq })) onLog(entry);
+    logSeq = kernel.logSeq;
+  };
+
+  return {
+    kernel,
+    step,
+
+    start(intervalMs = tickMs) {
+      if (timer === null) timer = setInterval(() => step(), intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // Run a command line in the shell. Resolves to its SHELL_RESULT
+    // ({ stdout, stderr, output, exitCode }) or to { error } if the shell
+    // did not answer (e.g. "connect: Connection refused"). When the timer is stopped the ticks are run here, at full
+    // speed, failing after `maxTicks`.
+    run(line, { maxTicks = 100000 } = {}) {
+      return new Promise((resolve, reject) => {
+        const pid = kernel.spawn(shellClient, {
+          name: "shell-client",
+          priority: 1,
+          args: [line],
+        });
+        pending.set(pid, resolve);
+        if (timer !== null) return;
+        for (let i = 0; pending.has(pid); i++) {
+          if (i === maxTicks) {
+            pending.delete(pid);
+            reject(new Error(`no reply from the shell after ${maxTicks} ticks`));
+            return;
+          }
+          step();
+        }
+      });
+    },
+
+    signalForeground(signal) {
+      return kernel.signalForeground(signal);
+    },
+
+    // Stop ticking and save what is still pending.
+    async close() {
+      this.stop();
+      await kernel.flush();
+    },
+  };
+}
+
+// Re-run a trace; shell-client spawns (ours or the dashboard's, which
+// make the same syscalls) are served by shellClient.
+export function replayTrace(trace) {
+  return Kernel.replay(trace, { programs: { "shell-client": shellClient } });
+}
+
+// ---------- Command line ----------
+
+function parseArgs(argv) {
+  const opts = { dir: ".kernel-vfs", tickMs: 50, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--dir") opts.dir = value();
+    else if (arg === "--tick") opts.tickMs = Number(value());
+    else if (arg === "--record") opts.record = value();
+    else if (arg === "--replay") opts.replay = value();
+    else if (arg === "-c") opts.command = value();
+    else if (arg === "-v" || arg === "--verbose") opts.verbose = true;
+    else throw new Error(`unknown option ${arg}`);
+  }
+  if (!(opts.tickMs > 0)) throw new Error("--tick must be a positive number");
+  return opts;
+}
+
+function printResult(result) {
+  if (result.error) {
+    process.stderr.write(`sh: ${result.error}\n`);
+    return;
+  }
+  process.stdout.write(result.stdout);
+  process.stderr.write(result.stderr);
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`headless: ${err.message}\n`);
+    return 2;
+  }
+
+  if (opts.replay) {
+    const trace = JSON.parse(fs.readFileSync(opts.replay, "utf8"));
+    const { ok, events, divergence } = replayTrace(trace);
+    if (ok) {
+      process.stdout.write(`replay: ${events} syscalls reproduced\n`);
+      return 0;
+    }
+    process.stdout.write(
+      `replay: diverged at syscall #${divergence.index}\n` +
+        `  expected ${JSON.stringify(divergence.expected)}\n` +
+        `  actual   ${JSON.stringify(divergence.actual)}\n`
+    );
+    return 1;
+  }
+
+  const host = await createHost({
+    dir: opts.dir,
+    tickMs: opts.tickMs,
+    kernelOpts: { record: Boolean(opts.record) },
+    onLog: opts.verbose
+      ? (entry) => process.stderr.write(`${formatLogEntry(entry)}\n`)
+      : null,
+  });
+  const finish = async (code) => {
+    await host.close();
+    if (opts.record) {
+      fs.writeFileSync(opts.record, JSON.stringify(host.kernel.getTrace()));
+    }
+    return code;
+  };
+
+  if (opts.command !== undefined) {
+    let result = null;
+    try {
+      result = await host.run(opts.command);
+    } catch (err) {
+      process.stderr.write(`headless: ${err.message}\n`);
+      return finish(1);
+    }
+    printResult(result);
+    return finish(result.error ? 1 : result.exitCode);
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: "$ ",
+  });
+  host.start();
+
+  // lines typed while a command runs wait their turn
+  let queue = Promise.resolve();
+  rl.on("line", (line) => {
+    queue = queue.then(async () => {
+      if (line.trim()) {
+        const result = await host.run(line.trim());
+        printResult(result);
+        if (result.output) process.stdout.write(`→ ${result.output}\n`);
+      }
+      rl.prompt();
+    });
+  });
+  // Ctrl+C / Ctrl+Z reach the foreground job, as on the dashboard
+  rl.on("SIGINT", () => {
+    process.stdout.write("^C\n");
+    host.signalForeground("SIGINT");
+  });
+  rl.on("SIGTSTP", () => {
+    process.stdout.write("^Z\n");
+    host.signalForeground("SIGTSTP");
+  });
+  rl.prompt();
+  await new Promise((resolve) => rl.on("close", resolve));
+  await queue;
+  return finish(0);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = await main(process.argv.slice(2));
+}
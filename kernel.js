@@ -6,843 +6,6850 @@ export const ProcessState = {
   READY: "READY",
   RUNNING: "RUNNING",
   BLOCKED: "BLOCKED",
+  STOPPED: "STOPPED",
+  ZOMBIE: "ZOMBIE",
   TERMINATED: "TERMINATED",
 };
 
+// POSIX numbering, so a process killed by signal N exits with 128 + N.
+export const Signals = {
+  SIGHUP: 1,
+  SIGINT: 2,
+  SIGKILL: 9,
+  SIGTERM: 15,
+  SIGCONT: 18,
+  SIGSTOP: 19,
+  SIGTSTP: 20,
+  SIGXCPU: 24,
+};
+
+// Neither can be caught, ignored or delayed.
+const UNCATCHABLE_SIGNALS = new Set(["SIGKILL", "SIGSTOP"]);
+
+// Default action for everything else in the table except SIGCONT and
+// SIGTSTP (the terminal's stop request, which stops like SIGSTOP).
+const TERMINATING_SIGNALS = new Set(["SIGHUP", "SIGINT", "SIGTERM", "SIGXCPU"]);
+
+// Accepts "TERM", "SIGTERM", "sigterm", 15 or "15".
+export function normalizeSignal(signal) {
+  if (typeof signal === "number" || /^\d+$/.test(String(signal))) {
+    const num = Number(signal);
+    return Object.keys(Signals).find((name) => Signals[name] === num) || null;
+  }
+  const upper = String(signal || "").toUpperCase();
+  const name = upper.startsWith("SIG") ? upper : `SIG${upper}`;
+  return name in Signals ? name : null;
+}
+
+// errno values: a failing syscall returns null/false and leaves one of
+// these in the process, readable with sys.errno().
+export const Errno = {
+  ENOENT: "No such file or directory",
+  EEXIST: "File exists",
+  ENOTDIR: "Not a directory",
+  EISDIR: "Is a directory",
+  ENOTEMPTY: "Directory not empty",
+  EINVAL: "Invalid argument",
+  EBUSY: "Device or resource busy",
+  EBADF: "Bad file descriptor",
+  ESPIPE: "Illegal seek",
+  EPIPE: "Broken pipe",
+  ENOEXEC: "Exec format error",
+  EPERM: "Operation not permitted",
+  EACCES: "Permission denied",
+  ESRCH: "No such process",
+  ENOSPC: "No space left on device",
+  EFBIG: "File too large",
+  EAGAIN: "Resource temporarily unavailable",
+  EHOSTUNREACH: "No route to host",
+  ENETUNREACH: "Network is unreachable",
+  ENOTSOCK: "Socket operation on non-socket",
+  EADDRINUSE: "Address already in use",
+  ECONNREFUSED: "Connection refused",
+  ENOTCONN: "Transport endpoint is not connected",
+  EOPNOTSUPP: "Operation not supported",
+  EIO: "Input/output error",
+  EDEADLK: "Resource deadlock avoided",
+  ETIMEDOUT: "Timed out",
+};
+
+export function strerror(code) {
+  return Errno[code] || String(code);
+}
+
+// Thrown by kernel helpers, turned into errno by the syscall layer.
+export class KernelError extends Error {
+  constructor(code, detail = "") {
+    super(detail ? `${code}: ${detail}` : code);
+    this.name = "KernelError";
+    this.code = code;
+  }
+}
+
+// What a kernel enforces unless told otherwise (new Kernel({ limits })).
+// Sizes are in bytes; null means unlimited. maxProcesses, maxVfsBytes and
+// queueFull hold for the whole kernel, the rest per process (see
+// PROCESS_LIMITS).
+export const DEFAULT_LIMITS = {
+  maxProcesses: 256, // entries in the process table, zombies included
+  maxVfsBytes: 2 * 1024 * 1024, // all files together
+  queueFull: "block", // SEND(_PORT) to a full queue: "block" or "error" (EAGAIN)
+  maxChildren: 64, // living children of one process
+  maxQueue: 256, // messages waiting in a mailbox, or in one port's queue
+  maxFileBytes: 1024 * 1024,
+  maxSteps: null, // CPU steps before SIGXCPU
+};
+
+// Process table entries only init and the host may fill (see
+// _checkProcessSlots).
+const RESERVED_PROCESS_SLOTS = 8;
+
+// Inherited from the parent and settable per spawn ({ limits }); only
+// root may raise them.
+const PROCESS_LIMITS = ["maxChildren", "maxQueue", "maxFileBytes", "maxSteps"];
+
+// Steps a process may still take after SIGXCPU before it gets SIGKILL.
+const XCPU_GRACE_STEPS = 100;
+
+// A numeric limit: null, undefined or "unlimited" is Infinity.
+function limitValue(value) {
+  if (value == null || value === "unlimited" || value === Infinity) return Infinity;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new KernelError("EINVAL", `limit ${value}`);
+  return n;
+}
+
+function resolveLimits(overrides) {
+  const limits = {};
+  for (const [key, value] of Object.entries({ ...DEFAULT_LIMITS, ...overrides })) {
+    if (!(key in DEFAULT_LIMITS)) throw new Error(`unknown limit "${key}"`);
+    if (key !== "queueFull") {
+      limits[key] = limitValue(value === undefined ? DEFAULT_LIMITS[key] : value);
+    } else if (value === "block" || value === "error") {
+      limits[key] = value;
+    } else {
+      throw new Error(`queueFull must be "block" or "error", not "${value}"`);
+    }
+  }
+  return limits;
+}
+
+// Limits as JSON-safe data: null for unlimited.
+function exportLimits(limits) {
+  const out = {};
+  for (const [key, value] of Object.entries(limits)) out[key] = value === Infinity ? null : value;
+  return out;
+}
+
+// Log severities, lowest first, and the parts of the system a log entry
+// comes from. Processes log as "user" unless they say otherwise.
+export const LogLevels = ["debug", "info", "warn", "error"];
+export const LogFacilities = ["kernel", "sched", "vfs", "net", "user"];
+const LOG_RING_SIZE = 1000;
+
+// A log entry as one line of text, for log files and exports.
+export function formatLogEntry(entry) {
+  const time = new Date(entry.time).toISOString();
+  const level = entry.level.toUpperCase().padEnd(5);
+  return `${time} ${level} ${entry.facility}[${entry.pid}]: ${entry.msg}`;
+}
+
+// File contents are strings (text) or Uint8Array (binary); sizes are in
+// bytes either way.
+const TEXT_ENCODER = new TextEncoder();
+const TEXT_DECODER = new TextDecoder();
+
+export function isBinary(content) {
+  return content instanceof Uint8Array;
+}
+
+export function toBytes(content) {
+  return isBinary(content) ? content : TEXT_ENCODER.encode(String(content ?? ""));
+}
+
+export function toText(content) {
+  return isBinary(content) ? TEXT_DECODER.decode(content) : String(content ?? "");
+}
+
+// What a file stores for data given to writeFile: a private copy of
+// binary data (Uint8Array, ArrayBuffer or any typed array), text otherwise.
+function fileContent(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data.slice(0));
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  }
+  return String(data ?? "");
+}
+
+// UTF-8 size of text without encoding it.
+function utf8Length(text) {
+  let n = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    if (c < 0x80) n += 1;
+    else if (c < 0x800) n += 2;
+    else if (c >= 0xd800 && c < 0xdc00) {
+      n += 4; // surrogate pair
+      i++;
+    } else n += 3;
+  }
+  return n;
+}
+
+// Size in bytes of what a file holds.
+function byteSize(content) {
+  return isBinary(content) ? content.length : utf8Length(content);
+}
+
+// Classic 16 bytes per line:
+// 00000000  89 50 4e 47 0d 0a 1a 0a  00 00 00 0d 49 48 44 52  |.PNG........IHDR|
+export function hexDump(bytes, limit = Infinity) {
+  const lines = [];
+  const end = Math.min(bytes.length, limit);
+  for (let off = 0; off < end; off += 16) {
+    const row = [...bytes.subarray(off, Math.min(off + 16, end))];
+    const hex = row.map((b) => b.toString(16).padStart(2, "0"));
+    const cols = `${hex.slice(0, 8).join(" ")}  ${hex.slice(8).join(" ")}`;
+    const ascii = row
+      .map((b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : "."))
+      .join("");
+    lines.push(`${off.toString(16).padStart(8, "0")}  ${cols.padEnd(48)}  |${ascii}|`);
+  }
+  return lines.join("\n");
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function base64ToBytes(text) {
+  const bin = atob(text);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// Users (/etc/passwd: name:x:uid:gid:info:home:shell) and groups
+// (/etc/group: name:x:gid:members), one entry per line.
+export function parsePasswd(text) {
+  return parseDbLines(text).map(([name, , uid, gid, info, home, shell]) => ({
+    name,
+    uid: Number(uid),
+    gid: Number(gid),
+    info: info ?? "",
+    home: home || "/",
+    shell: shell ?? "",
+  }));
+}
+
+export function parseGroup(text) {
+  return parseDbLines(text).map(([name, , gid, members = ""]) => ({
+    name,
+    gid: Number(gid),
+    members: members.split(",").filter(Boolean),
+  }));
+}
+
+function parseDbLines(text) {
+  return String(text ?? "")
+    .split("\n")
+    .filter((line) => line.trim() && !line.startsWith("#"))
+    .map((line) => line.split(":"));
+}
+
+// "drwxr-xr-x" for ls -l.
+export function modeString(type, mode) {
+  let out = type === "dir" ? "d" : "-";
+  for (const shift of [6, 3, 0]) {
+    const bits = (mode >> shift) & 7;
+    out += (bits & 4 ? "r" : "-") + (bits & 2 ? "w" : "-") + (bits & 1 ? "x" : "-");
+  }
+  if (mode & S_ISVTX) out = out.slice(0, -1) + (mode & 1 ? "t" : "T");
+  return out;
+}
+
+// Canonical absolute path: relative paths are resolved against `cwd`,
+// "." and ".." are applied and duplicate or trailing slashes dropped.
+export function normalizePath(path, cwd = "/") {
+  const raw = String(path ?? "");
+  const full = raw.startsWith("/") ? raw : `${cwd}/${raw}`;
+  const out = [];
+  for (const part of full.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") out.pop();
+    else out.push(part);
+  }
+  return "/" + out.join("/");
+}
+
+export function splitPath(path) {
+  const norm = normalizePath(path);
+  const idx = norm.lastIndexOf("/");
+  return {
+    dir: idx === 0 ? "/" : norm.slice(0, idx),
+    name: norm.slice(idx + 1),
+  };
+}
+
+// open() flags, POSIX values. open() also takes fopen-style strings:
+// "r", "r+", "w", "w+", "a", "a+".
+export const OpenFlags = {
+  O_RDONLY: 0,
+  O_WRONLY: 1,
+  O_RDWR: 2,
+  O_CREAT: 0o100,
+  O_TRUNC: 0o1000,
+  O_APPEND: 0o2000,
+};
+
+const OPEN_MODES = {
+  r: OpenFlags.O_RDONLY,
+  "r+": OpenFlags.O_RDWR,
+  w: OpenFlags.O_WRONLY | OpenFlags.O_CREAT | OpenFlags.O_TRUNC,
+  "w+": OpenFlags.O_RDWR | OpenFlags.O_CREAT | OpenFlags.O_TRUNC,
+  a: OpenFlags.O_WRONLY | OpenFlags.O_CREAT | OpenFlags.O_APPEND,
+  "a+": OpenFlags.O_RDWR | OpenFlags.O_CREAT | OpenFlags.O_APPEND,
+};
+
+// 0-2 are stdin/stdout/stderr, open() starts after them.
+const FIRST_FD = 3;
+const STDIO_NAMES = ["stdin", "stdout", "stderr"];
+
+// Connections a listening socket holds for accept() unless listen() says
+// otherwise; connect() beyond them is ECONNREFUSED.
+const DEFAULT_BACKLOG = 16;
+
+// Written to /etc/rc on first boot; the user can edit it from the shell.
+const DEFAULT_RC = `#!/bin/sh
+# /etc/rc - run at boot by the kernel, after the shell (PID 1) is up.
+# Start daemons and set up files here, e.g.: echo "echo-server 9000" >> /etc/rc
+syslogd
+echo-server 8080
+`;
+
+// Environment of processes spawned without a parent.
+const DEFAULT_ENV = { HOME: "/root", PATH: "/bin", USER: "root" };
+
+// User database written on first boot. Passwords sit in /etc/shadow
+// (name:password, readable by root only) in clear text: this kernel is for
+// lessons about permissions, not for keeping secrets.
+const DEFAULT_USER_FILES = {
+  "/etc/passwd": [
+    0o644,
+    "root:x:0:0:root:/root:/bin/sh\nguest:x:1000:1000:guest:/home/guest:/bin/sh\n",
+  ],
+  "/etc/group": [0o644, "root:x:0:\nguest:x:1000:\n"],
+  "/etc/shadow": [0o600, "root:root\nguest:\n"],
+};
+
+// Directories every kernel starts with: [mode, owner uid/gid].
+const BASE_DIRS = {
+  "/bin": [0o755, 0],
+  "/etc": [0o755, 0],
+  "/tmp": [0o1777, 0],
+  "/home": [0o755, 0],
+  "/root": [0o700, 0],
+  "/home/guest": [0o755, 1000],
+  "/var": [0o755, 0],
+  "/var/log": [0o755, 0],
+};
+
+// Permission bits for _checkAccess, per owner/group/other triplet.
+export const Access = { R_OK: 4, W_OK: 2, X_OK: 1 };
+// Sticky directory (/tmp): only owners may remove or rename entries.
+const S_ISVTX = 0o1000;
+
+// Globals programs compiled out of the VFS keep: the language's own,
+// deterministic building blocks. Every other global name (window,
+// document, process, setTimeout, console, Date, fetch, eval, ...) is
+// shadowed with undefined, so programs talk to the world through `sys`.
+// A convenience that keeps honest programs on syscalls, and so traced
+// and replayable, not a sandbox: any program can get the real globals
+// back through a constructor, e.g.
+// `(function () {}).constructor("return globalThis")()`, and with them
+// the host page or Node.js process. Install only programs you trust.
+const PROGRAM_GLOBALS = new Set([
+  "Object", "Function", "Array", "String", "Number", "Boolean", "Symbol",
+  "BigInt", "Math", "JSON", "Reflect", "Proxy", "Promise", "RegExp",
+  "Map", "Set", "WeakMap", "WeakSet", "ArrayBuffer", "DataView",
+  "Uint8Array", "Int8Array", "Uint8ClampedArray", "Uint16Array",
+  "Int16Array", "Uint32Array", "Int32Array", "Float32Array",
+  "Float64Array", "BigUint64Array", "BigInt64Array", "TextEncoder",
+  "TextDecoder", "Error", "TypeError", "RangeError", "SyntaxError",
+  "ReferenceError", "EvalError", "URIError", "AggregateError",
+  "parseInt", "parseFloat", "isNaN", "isFinite", "encodeURIComponent",
+  "decodeURIComponent", "encodeURI", "decodeURI", "Infinity", "NaN",
+  "undefined",
+]);
+
+// Every global name a program could see, own or inherited (in browsers
+// most of them live on Window.prototype and its ancestors).
+function hiddenGlobals() {
+  const names = new Set();
+  for (let o = globalThis; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+    for (const name of Object.getOwnPropertyNames(o)) {
+      if (/^[A-Za-z_$][\w$]*$/.test(name) && !PROGRAM_GLOBALS.has(name)) names.add(name);
+    }
+  }
+  names.add("globalThis");
+  return [...names];
+}
+
+const GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+
+// Compile JavaScript source defining `function* main(sys, ...args)` into
+// a program. Throws on syntax errors or when there is no generator main.
+// The shadowing parameters sit on a sloppy outer function, as strict code
+// may not bind `eval`; the program itself is strict.
+export function compileProgram(source) {
+  const factory = new Function(
+    ...hiddenGlobals(),
+    `return function () {\n"use strict";\n${source}\nreturn typeof main === "undefined" ? undefined : main;\n};`
+  );
+  const main = factory()();
+  if (!(main instanceof GeneratorFunction)) {
+    throw new Error("program must define function* main(sys, ...args)");
+  }
+  return main;
+}
+
+// Seeded PRNG (mulberry32): numbers in [0, 1), the same ones for the
+// same seed.
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "host:port" as { host, port }; a bare port has host null.
+function parseDestination(dest) {
+  const text = String(dest);
+  const colon = text.lastIndexOf(":");
+  if (colon === -1) return { host: null, port: Number(text) };
+  return { host: text.slice(0, colon), port: Number(text.slice(colon + 1)) };
+}
+
+// What sys.socket() and accept() resolve to: the socket's fd with the
+// stream calls as methods. A handle is also a poll source (ready when
+// recv() or accept() would not block). send() takes any value and recv()
+// gives it back in order, null at end of stream.
+function socketHandle(fd) {
+  return {
+    type: "fd",
+    fd,
+    *bind(port) {
+      return yield { type: "BIND", fd, port };
+    },
+    *listen({ backlog } = {}) {
+      return yield { type: "SOCK_LISTEN", fd, backlog };
+    },
+    // a handle for the next connection; null once timeoutMs expires
+    *accept({ timeoutMs } = {}) {
+      const conn = yield { type: "ACCEPT", fd, timeoutMs };
+      return conn == null ? null : socketHandle(conn);
+    },
+    // a local port, or "host:port" for this host
+    *connect(dest) {
+      return yield { type: "CONNECT", fd, dest };
+    },
+    *send(data) {
+      return yield { type: "SOCK_SEND", fd, data };
+    },
+    // null at end of stream, or (errno ETIMEDOUT) once timeoutMs expires
+    *recv({ timeoutMs } = {}) {
+      return yield { type: "SOCK_RECV", fd, timeoutMs };
+    },
+    *close() {
+      return yield { type: "CLOSE", fd };
+    },
+  };
+}
+
+// What a blocked process waits for, without the kernel objects (pipes,
+// descriptors) some waits point to.
+function describeWait(waitingFor) {
+  if (!waitingFor) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(waitingFor)) {
+    if (value === null || typeof value !== "object") out[key] = value;
+  }
+  if (waitingFor.type === "POLL") {
+    out.sources = waitingFor.sources.map(({ source, ...rest }) => rest);
+  }
+  return out;
+}
+
+const TRACE_RING_SIZE = 500;
+
+// A syscall argument or result cut down for strace: long strings and byte
+// arrays shortened, functions by name, deep or long structures elided.
+function summarizeValue(value, depth = 0) {
+  if (typeof value === "function") return `<function ${value.name || "anonymous"}>`;
+  if (typeof value === "string") {
+    return value.length > 64 ? `${value.slice(0, 61)}... (${value.length} chars)` : value;
+  }
+  if (isBinary(value)) return `<${value.length} bytes>`;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return `<${value.byteLength} bytes>`;
+  }
+  if (value === undefined || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    if (depth >= 2) return `<${value.length} items>`;
+    const items = value.slice(0, 8).map((v) => summarizeValue(v, depth + 1));
+    if (value.length > 8) items.push(`<${value.length - 8} more>`);
+    return items;
+  }
+  if (depth >= 2) return "{...}";
+  const out = {};
+  const keys = Object.keys(value);
+  for (const key of keys.slice(0, 12)) out[key] = summarizeValue(value[key], depth + 1);
+  if (keys.length > 12) out["..."] = `<${keys.length - 12} more>`;
+  return out;
+}
+
+// One strace entry as a line:
+// [   1.250] OPEN(path="/etc/motd", flags="r") = 3
+// [   1.300] SLEEP(ms=500) = true <sleep 0.500s>
+export function formatSyscallEntry(entry) {
+  const time = (entry.timeMs / 1000).toFixed(3).padStart(8);
+  const args = Object.entries(entry.args ?? {})
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => `${k}=${JSON.stringify(v)}`)
+    .join(", ");
+  let line = `[${time}] ${entry.type}(${args}) = `;
+  if (!entry.done) return `${line}?`;
+  line += entry.result === undefined ? "undefined" : JSON.stringify(entry.result);
+  if (entry.errno) line += ` ${entry.errno} (${strerror(entry.errno)})`;
+  if (entry.state === ProcessState.BLOCKED) {
+    line += ` <${entry.blockReason ?? "blocked"} ${(entry.durationMs / 1000).toFixed(3)}s>`;
+  }
+  return line;
+}
+
+// JSON-safe copy of a syscall or its result for recordings: bytes as base64,
+// functions by name.
+function recordValue(value) {
+  const json = JSON.stringify(value ?? null, (key, v) => {
+    if (typeof v === "function") return `[function ${v.name || "anonymous"}]`;
+    if (isBinary(v)) return { bytes: bytesToBase64(v) };
+    return v;
+  });
+  return JSON.parse(json);
+}
+
 let KERNEL_INSTANCE_COUNTER = 0;
 
 export class Kernel {
-  constructor({ tickMs = 50 } = {}) {
+  constructor({
+    tickMs = 50,
+    scheduler = "rr",
+    schedulerOpts = {},
+    storage = defaultStorage(),
+    flushMs = 250,
+    deterministic = false,
+    seed = null,
+    epochMs = 0,
+    record = false,
+    limits = {},
+  } = {}) {
     this.id = ++KERNEL_INSTANCE_COUNTER;
     this.tickMs = tickMs;
     this.timeMs = 0;
+    this.tickCount = 0;
+    // since boot, exited processes included (per process: pcb.acct)
+    this.totals = { steps: 0, syscalls: 0 };
+
+    // Deterministic mode takes every timestamp from the virtual clock
+    // (epochMs + timeMs) instead of the host's; with the same seed, inputs
+    // and VFS, two runs then do exactly the same thing. Recording a trace
+    // (see getTrace / Kernel.replay) implies it.
+    this.deterministic = deterministic || record;
+    this.epochMs = epochMs;
+    this.seed = (seed ?? (this.deterministic ? 1 : Math.random() * 2 ** 32)) >>> 0;
+    this.random = createRng(this.seed);
+    this.recording = record ? { vfs: [], inputs: [], events: [] } : null;
 
     this.processes = [];
     this.nextPid = 1;
+    this.limits = resolveLimits(limits);
+
+    this.scheduler = createScheduler(scheduler, schedulerOpts);
+    this.schedulerConfig = { name: scheduler, opts: schedulerOpts };
 
+    // ring of the last LOG_RING_SIZE entries:
+    // { seq, time, timeMs, pid, level, facility, msg }
     this.logs = [];
+    this.logSeq = 0;
 
     this.mailbox = new Map(); // pid -> [{fromPid, payload}]
-    this.ports = new Map();   // port -> { ownerPid, queue: [{fromPid, payload}] }
+    this.ports = new Map();   // port -> { ownerPid, queue: [{fromPid, fromHost?, payload}] }
+    // stream sockets have ports of their own, like TCP next to UDP
+    this.listeners = new Map(); // port -> bound or listening socket
+
+    // Set by VirtualNetwork.attach. Packets wait in `inbox` until the
+    // virtual time they arrive at.
+    this.network = null;
+    this.address = null;
+    this.hostname = null;
+    this.inbox = []; // { deliverAt, packet }
+    this.netStats = { txPackets: 0, txBytes: 0, rxPackets: 0, rxBytes: 0, dropped: 0 };
+    this.pingSeq = 0;
 
     this.programRegistry = new Map();
 
-    this.vfs = new Map();
-    this._restoreVfsFromStorage();
-    if (!this.vfs.has("/etc/motd")) {
-      this._writeFile("/etc/motd", "Benvenuto nel mini-kernel in JS!");
+    this.foregroundPgid = null; // process group that owns the terminal
+    this.captures = new Map(); // pid -> { stdout, stderr } (spawn with capture)
+
+    // VFS persistence: changed paths collect in `dirty` and go to the
+    // storage backend in one batch at most every `flushMs` of virtual time.
+    this.storage = storage;
+    this.flushMs = flushMs;
+    this.lastFlushMs = 0;
+    this.dirty = new Map(); // path -> Set of pids that changed it
+    this.flushesInFlight = 0;
+
+    for (const [name, entry] of Object.entries(DEFAULT_PROGRAMS)) {
+      this.registerProgram(name, entry.program, entry);
+    }
+
+    // `ready` resolves once the VFS is loaded; synchronous backends are
+    // done before the constructor returns, others need `await kernel.ready`
+    // before boot().
+    this.vfs = null;
+    let loaded;
+    try {
+      loaded = storage.load();
+    } catch (err) {
+      loaded = Promise.reject(err);
+    }
+    if (loaded && typeof loaded.then === "function") {
+      this.ready = loaded.then(
+        (entries) => this._initVfs(entries),
+        (err) => {
+          this._log(0, `storage: could not load the VFS: ${err.message ?? err}`, {
+            level: "error",
+            facility: "vfs",
+          });
+          this._initVfs([]);
+        }
+      );
+    } else {
+      this._initVfs(loaded);
+      this.ready = Promise.resolve();
     }
   }
 
   // ---------- Public API for UI ----------
 
-  registerProgram(name, fn) {
-    this.programRegistry.set(name, fn);
+  // Make `program(sys, ...args)` runnable by name. /bin/<name> maps to it
+  // (a "#!kernel <name>" stub); daemons are started detached by the shell.
+  registerProgram(name, program, { priority = 1, daemon = false } = {}) {
+    this.programRegistry.set(name, { program, priority, daemon });
+    if (this.vfs) {
+      this._recordInput("register", { name });
+      this._writeStub(name);
+    }
+  }
+
+  _writeStub(name) {
+    if (this._lookup(`/bin/${name}`)) return;
+    this._writeFile(`/bin/${name}`, `#!kernel ${name}\n`);
+    this._lookup(`/bin/${name}`).mode = 0o755;
   }
 
+  // Persist pending VFS changes now (e.g. before the page unloads).
+  // Resolves when the backend is done; a failure is logged and returned
+  // by the next fsync() of every process that made one of the changes,
+  // and the changes are tried again with the next flush.
+  flush() {
+    this.lastFlushMs = this.timeMs;
+    if (this.dirty.size === 0) return Promise.resolve();
+    const changes = [];
+    const batch = this.dirty;
+    for (const path of batch.keys()) {
+      const node = this._lookup(path);
+      changes.push(
+        node
+          ? { op: "put", entry: this._entryFor(path, node) }
+          : { op: "delete", path }
+      );
+    }
+    this.dirty = new Map();
+
+    this.flushesInFlight++;
+    let result;
+    try {
+      result = this.storage.apply(changes);
+    } catch (err) {
+      this._flushDone(batch, err);
+      return Promise.resolve();
+    }
+    if (result && typeof result.then === "function") {
+      return result.then(
+        () => this._flushDone(batch, null),
+        (err) => this._flushDone(batch, err)
+      );
+    }
+    this._flushDone(batch, null);
+    return Promise.resolve();
+  }
+
+  // `program` is a generator function, or a command name or path resolved
+  // like the shell does, started with `opts.args`. With `opts.capture` its
+  // console output (and its children's) is kept for getOutput(pid).
+  // Throws a KernelError (e.g. EAGAIN with the process table full).
   spawn(program, opts = {}) {
-    return this._spawnInternal(program, opts);
+    const pid = this._spawnInternal(program, opts);
+    if (typeof program === "string") this._recordInput("spawn", { program, opts });
+    else this._recordInput("spawn", { name: opts.name ?? program.name, opts });
+    if (opts.capture) this._capture(this._findPcb(pid));
+    return pid;
+  }
+
+  // Ctrl+C / Ctrl+Z from the UI: signal every process in the terminal's
+  // foreground group. False if the group is gone.
+  signalForeground(signal) {
+    this._recordInput("signal", { signal });
+    const sig = normalizeSignal(signal);
+    if (!sig || this.foregroundPgid == null) return false;
+    return this._signalGroup(this.foregroundPgid, sig);
+  }
+
+  // PID 1 owns the terminal's session and may hand it to anyone. Other
+  // processes only pass it on while they hold it (they are in the
+  // foreground group or started one of its members), and only to their
+  // own group or to one of their children's, so a background job cannot
+  // take Ctrl+C / Ctrl+Z away from the shell.
+  _setForeground(pcb, pgid) {
+    if (pcb.pid !== 1) {
+      const members = this.processes.filter(
+        (p) => p.pgid === this.foregroundPgid && this._isAlive(p)
+      );
+      const holds =
+        this.foregroundPgid == null ||
+        pcb.pgid === this.foregroundPgid ||
+        members.some((p) => p.ppid === pcb.pid);
+      const ownsTarget =
+        pgid === pcb.pgid ||
+        this.processes.some((p) => p.pgid === pgid && p.ppid === pcb.pid && this._isAlive(p));
+      if (!holds || !ownsTarget) throw new KernelError("EPERM", `pgid ${pgid}`);
+    }
+    this.foregroundPgid = pgid;
+    return pgid;
+  }
+
+  // The job that owns the terminal, for the UI.
+  getForegroundJob() {
+    const members = this.processes.filter(
+      (p) => p.pgid === this.foregroundPgid && this._isAlive(p)
+    );
+    if (members.length === 0) return null;
+    return {
+      pgid: this.foregroundPgid,
+      pids: members.map((p) => p.pid),
+      name: members.map((p) => p.name).join(" | "),
+      state: members.every((p) => p.state === ProcessState.STOPPED)
+        ? ProcessState.STOPPED
+        : members[0].state,
+    };
+  }
+
+  // Start init (the shell, PID 1) and run /etc/rc as its child, so the
+  // daemons and files a user sets up there come back on every boot.
+  boot() {
+    this._recordInput("boot");
+    const initPid = this._spawnInternal(shellProcess, { name: "shell", priority: 2 });
+    const rc = this._lookup("/etc/rc");
+    if (rc && rc.type === "file") {
+      this._spawnInternal(
+        (sys) => shProgram(sys, "/etc/rc"),
+        // its own process group, so Ctrl+C at the shell never reaches it
+        { name: "rc", priority: 2, pgid: 0 },
+        this._findPcb(initPid)
+      );
+    }
+    return initPid;
   }
 
   tick() {
+    this.tickCount++;
     this.timeMs += this.tickMs;
-    for (const pcb of this.processes) {
-      if (pcb.state === ProcessState.READY || pcb.state === ProcessState.RUNNING) {
-        this._runProcess(pcb);
+    if (this.inbox.length > 0) this._deliverPackets();
+    this._checkTimers();
+    this.scheduler.onTick(this);
+
+    // Each tick hands out at most `budget` steps (one syscall each); the
+    // active policy decides who gets them.
+    let budget = this.scheduler.budget;
+    while (budget > 0) {
+      const runnable = this.processes.filter(
+        (p) => p.state === ProcessState.READY || p.state === ProcessState.RUNNING
+      );
+      const pcb = this.scheduler.pick(runnable);
+      if (!pcb) break;
+      this._runProcess(pcb);
+      this.scheduler.charge(pcb);
+      pcb.acct.steps++;
+      this.totals.steps++;
+      if (pcb.acct.steps >= pcb.limits.maxSteps && this._isAlive(pcb)) {
+        this._overStepBudget(pcb);
       }
+      budget--;
+    }
+
+    if (this.dirty.size > 0 && this.timeMs - this.lastFlushMs >= this.flushMs) {
+      this.flush();
     }
   }
 
+  setScheduler(name, opts = {}) {
+    this._recordInput("scheduler", { name, opts });
+    return this._switchScheduler(name, opts);
+  }
+
+  // Shared with the SCHED syscall, which is not a host input: a replay
+  // re-runs the syscall and must not see the switch twice.
+  _switchScheduler(name, opts) {
+    const next = createScheduler(name, opts);
+    for (const pcb of this.processes) next.admit(pcb);
+    this.scheduler = next;
+    this._log(0, `Scheduler switched to ${next.describe()}`, { facility: "sched" });
+    return this.getSchedulerInfo();
+  }
+
+  getSchedulerInfo() {
+    return {
+      policy: this.scheduler.name,
+      budget: this.scheduler.budget,
+      description: this.scheduler.describe(),
+      available: Object.keys(SCHEDULER_POLICIES),
+    };
+  }
+
+  // This host on its VirtualNetwork: { address, hostname, stats, links },
+  // or null when not attached.
+  getNetInfo() {
+    if (!this.network) return null;
+    return {
+      address: this.address,
+      hostname: this.hostname,
+      stats: { ...this.netStats },
+      links: this.network.getLinks(this.address),
+    };
+  }
+
+  // The kernel's limits (see DEFAULT_LIMITS), null meaning unlimited.
+  getLimits() {
+    return exportLimits(this.limits);
+  }
+
   cleanupTerminated() {
-    this.processes = this.processes.filter((p) => p.state !== ProcessState.TERMINATED);
+    const alive = this.processes.filter((p) => p.state !== ProcessState.TERMINATED);
+    if (alive.length < this.processes.length) this._recordInput("cleanup");
+    this.processes = alive;
   }
 
+  // Rows come out in tree order (each parent followed by its children),
+  // with `depth` telling how far down the tree a process is.
   getProcessTable() {
-    return this.processes.map((p) => ({
+    const byParent = new Map();
+    for (const p of this.processes) {
+      const parentKnown = p.ppid && this._findPcb(p.ppid);
+      const key = parentKnown ? p.ppid : 0;
+      if (!byParent.has(key)) byParent.set(key, []);
+      byParent.get(key).push(p);
+    }
+    const rows = [];
+    const visit = (ppid, depth) => {
+      for (const p of byParent.get(ppid) || []) {
+        rows.push({ pcb: p, depth });
+        visit(p.pid, depth + 1);
+      }
+    };
+    visit(0, 0);
+
+    return rows.map(({ pcb: p, depth }) => ({
       pid: p.pid,
+      ppid: p.ppid,
+      pgid: p.pgid,
+      uid: p.uid,
+      depth,
       name: p.name,
       priority: p.priority,
       state: p.state,
       blockReason: p.blockReason,
       exitCode: p.exitCode,
       spawnTime: p.spawnTime,
+      ...this._acctSummary(p),
     }));
   }
 
+  // Message ports (proto "msg") and stream sockets' ports ("stream",
+  // with `listening` and the open `connections`), by port number.
   getPortsTable() {
     const arr = [];
     for (const [port, entry] of this.ports.entries()) {
       arr.push({
         port,
+        proto: "msg",
         ownerPid: entry.ownerPid,
         queueLength: entry.queue.length,
       });
     }
-    arr.sort((a, b) => a.port - b.port);
+    arr.push(...this._streamPorts());
+    arr.sort((a, b) => a.port - b.port || a.proto.localeCompare(b.proto));
     return arr;
   }
 
+  // Whole VFS in tree order (each directory followed by its entries), with
+  // `depth` for indentation. Directories have type "dir" and no preview.
   listFiles() {
     const out = [];
-    for (const [path, meta] of this.vfs.entries()) {
-      const text = meta.content ?? "";
-      const preview =
-        text.length > 60 ? text.slice(0, 57).replace(/\s+/g, " ") + "..." : text;
-      out.push({
-        path,
-        size: text.length,
-        preview,
-      });
-    }
-    out.sort((a, b) => a.path.localeCompare(b.path));
+    const visit = (dir, dirPath, depth) => {
+      const names = [...dir.children.keys()].sort((a, b) => a.localeCompare(b));
+      for (const name of names) {
+        const node = dir.children.get(name);
+        const path = dirPath === "/" ? `/${name}` : `${dirPath}/${name}`;
+        if (node.type === "dir") {
+          out.push({ path, name, type: "dir", depth, size: node.children.size });
+          visit(node, path, depth + 1);
+          continue;
+        }
+        const size = this._sizeOf(node);
+        if (isBinary(node.content)) {
+          const preview = hexDump(node.content, 64);
+          out.push({ path, name, type: "file", depth, size, binary: true, preview });
+          continue;
+        }
+        const text = node.content;
+        const preview =
+          text.length > 60 ? text.slice(0, 57).replace(/\s+/g, " ") + "..." : text;
+        out.push({ path, name, type: "file", depth, size, binary: false, preview });
+      }
+    };
+    visit(this.vfs, "/", 0);
     return out;
   }
 
-  getLogs() {
-    return this.logs.slice(-500);
-  }
+  // Totals for the dashboard header and `top`. uptimeMs is virtual time;
+  // steps and syscalls count since boot, exited processes included.
+  getStats() {
+    const states = {};
+    for (const state of Object.values(ProcessState)) states[state] = 0;
+    for (const p of this.processes) states[p.state]++;
 
-  // ---------- Internal helpers ----------
+    let files = 0;
+    let dirs = 0;
+    let bytes = 0;
+    const visit = (dir) => {
+      for (const node of dir.children.values()) {
+        if (node.type === "dir") {
+          dirs++;
+          visit(node);
+        } else {
+          files++;
+          bytes += this._sizeOf(node);
+        }
+      }
+    };
+    visit(this.vfs);
 
-  _spawnInternal(program, opts = {}) {
-    const pid = this.nextPid++;
-    const pcb = {
-      pid,
-      name: opts.name || `proc-${pid}`,
-      priority: opts.priority ?? 1,
-      state: ProcessState.READY,
-      blockReason: null,
-      exitCode: null,
-      program,
-      iterator: null,
-      waitingFor: null,
-      nextValue: undefined,
-      spawnTime: Date.now(),
+    return {
+      uptimeMs: this.timeMs,
+      ticks: this.tickCount,
+      processes: this.processes.length,
+      states,
+      steps: this.totals.steps,
+      syscalls: this.totals.syscalls,
+      ports: this.ports.size,
+      files,
+      dirs,
+      vfsBytes: bytes,
+      logs: this.logs.length,
+      scheduler: this.scheduler.name,
     };
+  }
 
-    const sys = this._createSyscalls(pcb);
-    try {
-      pcb.iterator = program(sys);
-    } catch (err) {
-      this._log(pcb.pid, `Error starting program: ${String(err)}`);
-      pcb.state = ProcessState.TERMINATED;
-      pcb.exitCode = 1;
-      return pid;
-    }
+  // Log entries, oldest first, optionally filtered by
+  // { pid, level (this one or worse), facility, text, since (seq), limit }.
+  getLogs(filter = {}) {
+    return this._filterLogs(filter);
+  }
 
-    this.processes.push(pcb);
-    return pid;
+  clearLogs() {
+    this._recordInput("clearLogs");
+    this.logs = [];
   }
 
-  _findPcb(pid) {
-    return this.processes.find((p) => p.pid === pid) || null;
+  // The clock behind spawnTime and log timestamps: wall-clock ms, or the
+  // virtual clock in deterministic mode.
+  now() {
+    return this.deterministic ? this.epochMs + this.timeMs : Date.now();
   }
 
-  _runProcess(pcb) {
-    if (!pcb.iterator || pcb.state === ProcessState.TERMINATED) return;
+  // What a kernel built with `record: true` has done so far, as JSON-safe
+  // data: its config, the VFS it started from, the host's calls (spawn,
+  // boot, signals, ...) with the tick they came at, and every syscall with
+  // the value it returned. Null when not recording.
+  getTrace() {
+    if (!this.recording) return null;
+    return {
+      version: 1,
+      config: {
+        tickMs: this.tickMs,
+        flushMs: this.flushMs,
+        seed: this.seed,
+        epochMs: this.epochMs,
+        scheduler: this.schedulerConfig,
+        limits: this.getLimits(),
+      },
+      ticks: this.tickCount,
+      vfs: this.recording.vfs,
+      inputs: this.recording.inputs.slice(),
+      events: this.recording.events.map((e) => ({ ...e })),
+    };
+  }
 
-    pcb.state = ProcessState.RUNNING;
-    const input = pcb.nextValue;
-    pcb.nextValue = undefined;
+  // Run a trace again on a fresh kernel: same config, VFS and host calls
+  // at the same ticks. Returns { ok, events, divergence, kernel }, where
+  // divergence is the first syscall whose call or result differs from the
+  // recording ({ index, expected, actual }), or null. `setup(kernel)` runs
+  // before the first input, to register the host's own programs;
+  // `programs` maps the names of generator functions the host spawned
+  // directly to those functions.
+  static replay(trace, { setup = null, programs = {} } = {}) {
+    const { config } = trace;
+    const storage = new MemoryStorage();
+    storage.apply(trace.vfs.map((entry) => ({ op: "put", entry: decodeEntry(entry) })));
+    const kernel = new Kernel({
+      tickMs: config.tickMs,
+      flushMs: config.flushMs,
+      seed: config.seed,
+      epochMs: config.epochMs,
+      scheduler: config.scheduler.name,
+      schedulerOpts: config.scheduler.opts,
+      limits: config.limits,
+      storage,
+      record: true,
+    });
+    if (setup) setup(kernel);
 
-    let result;
-    try {
-      result = pcb.iterator.next(input);
-    } catch (err) {
-      this._log(pcb.pid, `Process crashed: ${String(err)}`);
-      pcb.state = ProcessState.TERMINATED;
-      pcb.blockReason = null;
-      pcb.exitCode = 1;
-      return;
+    let next = 0;
+    for (let tick = 0; tick <= trace.ticks; tick++) {
+      while (next < trace.inputs.length && trace.inputs[next].tick === tick) {
+        kernel._replayInput(trace.inputs[next++], programs);
+      }
+      if (tick < trace.ticks) kernel.tick();
     }
 
-    if (result.done) {
-      pcb.state = ProcessState.TERMINATED;
-      pcb.blockReason = null;
-      pcb.exitCode = typeof result.value === "number" ? result.value : 0;
-      return;
+    const actual = kernel.recording.events;
+    const expected = trace.events;
+    let divergence = null;
+    for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+      if (JSON.stringify(actual[i]) !== JSON.stringify(expected[i])) {
+        divergence = { index: i, expected: expected[i] ?? null, actual: actual[i] ?? null };
+        break;
+      }
     }
+    return { ok: !divergence, events: actual.length, divergence, kernel };
+  }
 
-    const syscall = result.value || {};
-    this._handleSyscall(pcb, syscall);
+  // Start tracing process `pid`'s syscalls (strace) if not done yet and
+  // return what was traced so far, oldest first: { seq, timeMs, type,
+  // args, state, blockReason, done, result, errno, durationMs }. Null if
+  // there is no such process.
+  trace(pid) {
+    const pcb = this._findPcb(pid);
+    if (!pcb) return null;
+    if (!pcb.strace?.tracers.has(0)) {
+      this._recordInput("trace", { pid });
+      this._attachTracer(pcb, 0);
+    }
+    return pcb.strace.entries.map((e) => ({ ...e }));
   }
 
-  _handleSyscall(pcb, syscall) {
-    switch (syscall.type) {
-      case "SLEEP": {
-        const until = this.timeMs + (syscall.ms || 0);
-        pcb.blockReason = "sleep";
-        pcb.state = ProcessState.BLOCKED;
-        pcb.waitingFor = { type: "SLEEP", until };
-        break;
-      }
+  untrace(pid) {
+    const pcb = this._findPcb(pid);
+    if (!pcb?.strace?.tracers.has(0)) return;
+    this._recordInput("untrace", { pid });
+    this._detachTracer(pcb, 0);
+  }
 
-      case "LOG": {
-        this._log(pcb.pid, syscall.message ?? "");
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = true;
-        break;
+  // ---------- Stepping and inspection ----------
+
+  // For tests and scripts: run the kernel until something happens instead
+  // of calling tick() a guessed number of times. They fail with a
+  // KernelError: ETIMEDOUT after `maxTicks`, EDEADLK when nothing could
+  // change any more (every process blocked with no timer pending).
+
+  // Tick until `predicate(kernel)` holds; returns the ticks run.
+  runUntil(predicate, { maxTicks = 10000 } = {}) {
+    for (let ticks = 0; ; ticks++) {
+      if (predicate(this)) return ticks;
+      if (!this._canProgress()) {
+        throw new KernelError("EDEADLK", this._describeBlocked());
+      }
+      if (ticks === maxTicks) {
+        throw new KernelError("ETIMEDOUT", `condition not met after ${maxTicks} ticks`);
+      }
+      this.tick();
+    }
+  }
+
+  // Tick until no process can run and no timer is pending, e.g. every
+  // daemon is waiting for a message; returns the ticks run.
+  runUntilIdle({ maxTicks = 10000 } = {}) {
+    let ticks = 0;
+    for (; this._canProgress(); ticks++) {
+      if (ticks === maxTicks) {
+        throw new KernelError("ETIMEDOUT", `still busy after ${maxTicks} ticks`);
+      }
+      this.tick();
+    }
+    return ticks;
+  }
+
+  // Let `ms` of virtual time pass (rounded up to whole ticks).
+  advanceTime(ms) {
+    const ticks = Math.ceil(ms / this.tickMs);
+    for (let i = 0; i < ticks; i++) this.tick();
+    return ticks;
+  }
+
+  // Run until process `pid` exits; returns its exit code.
+  waitForExit(pid, { maxTicks = 10000 } = {}) {
+    const pcb = this._findPcb(pid);
+    if (!pcb) throw new KernelError("ESRCH", String(pid));
+    this.runUntil(() => !this._isAlive(pcb), { maxTicks });
+    return pcb.exitCode;
+  }
+
+  // One process in detail, or null: what it is blocked on and how many
+  // messages wait in its mailbox.
+  getProcess(pid) {
+    const p = this._findPcb(pid);
+    if (!p) return null;
+    return {
+      pid: p.pid,
+      ppid: p.ppid,
+      pgid: p.pgid,
+      uid: p.uid,
+      gid: p.gid,
+      name: p.name,
+      priority: p.priority,
+      state: p.state,
+      blockReason: p.blockReason,
+      waitingFor: describeWait(p.waitingFor),
+      exitCode: p.exitCode,
+      cwd: p.cwd,
+      mailbox: this.mailbox.get(p.pid)?.length ?? 0,
+      fds: [...p.fds.keys()].sort((a, b) => a - b),
+      pendingSignals: [...p.pendingSignals],
+      lastSyscall: p.lastSyscall?.type ?? null,
+      acct: { ...this._acctSummary(p), byType: { ...p.acct.syscalls } },
+      limits: exportLimits(p.limits),
+    };
+  }
+
+  // What a process spawned with { capture: true } printed so far.
+  getOutput(pid) {
+    const capture = this.captures.get(pid);
+    return capture ? { stdout: capture.stdout, stderr: capture.stderr } : null;
+  }
+
+  // ---------- Internal helpers ----------
+
+  // pcb.acct as the tables show it: syscalls in total, and blockedMs
+  // including a wait still going on.
+  _acctSummary(pcb) {
+    const { acct } = pcb;
+    let blockedMs = acct.blockedMs;
+    if (acct.blockedSince !== null && pcb.state === ProcessState.BLOCKED) {
+      blockedMs += this.timeMs - acct.blockedSince;
+    }
+    let syscalls = 0;
+    for (const n of Object.values(acct.syscalls)) syscalls += n;
+    return {
+      steps: acct.steps,
+      syscalls,
+      msgsSent: acct.msgsSent,
+      msgsRecv: acct.msgsRecv,
+      vfsBytes: acct.vfsBytes,
+      blockedMs,
+    };
+  }
+
+  _capture(pcb) {
+    const capture = { stdout: "", stderr: "" };
+    this.captures.set(pcb.pid, capture);
+    for (const fd of [1, 2]) {
+      const desc = pcb.fds.get(fd);
+      if (desc?.kind === "console") this._installFd(pcb, fd, { ...desc, capture });
+    }
+  }
+
+  // Whether ticking alone can still change anything: a process can run, a
+  // timer is pending, a save is in flight or a packet is on its way in.
+  _canProgress() {
+    if (this.flushesInFlight > 0 || this.inbox.length > 0) return true;
+    return this.processes.some((p) => {
+      if (p.state === ProcessState.READY || p.state === ProcessState.RUNNING) return true;
+      const w = p.waitingFor;
+      if (p.state !== ProcessState.BLOCKED || !w) return false;
+      return w.until != null || (w.type === "POLL" && w.sources.some((s) => s.type === "timer"));
+    });
+  }
+
+  _describeBlocked() {
+    const blocked = this.processes
+      .filter((p) => p.state === ProcessState.BLOCKED || p.state === ProcessState.STOPPED)
+      .map((p) => `${p.pid} ${p.name} (${p.blockReason ?? p.state})`);
+    return blocked.length > 0 ? `waiting forever: ${blocked.join(", ")}` : "no processes left";
+  }
+
+  _spawnInternal(program, opts = {}, parent = null) {
+    if (typeof program === "string") {
+      const cmd = this._resolveCommand(parent, program);
+      const args = opts.args || [];
+      program = (sys) => cmd.program(sys, ...args);
+      opts = { name: cmd.name, priority: cmd.priority, ...opts };
+    }
+    // only root may start a process as someone else
+    const uid = opts.uid ?? (parent ? parent.uid : 0);
+    const gid = opts.gid ?? (parent ? parent.gid : 0);
+    if (parent && parent.uid !== 0 && (uid !== parent.uid || gid !== parent.gid)) {
+      throw new KernelError("EPERM", `uid ${uid}`);
+    }
+    const limits = this._processLimits(parent, opts.limits);
+    this._checkProcessSlots(parent);
+    const pid = this.nextPid++;
+    const pcb = {
+      pid,
+      ppid: parent ? parent.pid : 0,
+      name: opts.name || `proc-${pid}`,
+      priority: opts.priority ?? 1,
+      state: ProcessState.READY,
+      blockReason: null,
+      exitCode: null,
+      program,
+      iterator: null,
+      waitingFor: null,
+      nextValue: undefined,
+      spawnTime: this.now(),
+      cwd: normalizePath(opts.cwd ?? (parent ? parent.cwd : "/")),
+      env: { ...(opts.env ?? (parent ? parent.env : DEFAULT_ENV)) },
+      // process group: opts.pgid 0 starts a new one led by this process
+      pgid: opts.pgid === 0 ? pid : opts.pgid ?? (parent ? parent.pgid : pid),
+      uid,
+      gid,
+      limits,
+      errno: null,
+      ioError: null, // storage failure for the next fsync()
+      fds: new Map(), // fd -> open file description (see _installFd)
+      sched: {},
+      lastSyscall: null,
+      recordEvent: null, // recorded syscall still waiting for its result
+      strace: null, // { tracers: Set of pids (0: the host), entries, seq, current }
+      // resource accounting; blockedSince is set while BLOCKED
+      acct: {
+        steps: 0,
+        syscalls: {}, // type -> count
+        msgsSent: 0,
+        msgsRecv: 0,
+        vfsBytes: 0,
+        blockedMs: 0,
+        blockedSince: null,
+      },
+      signalHandlers: {},
+      pendingSignals: [],
+      signalFrames: [], // iterators suspended while a handler runs
+      interrupted: null, // blocking syscall cut short by a signal
+      stoppedFrom: null,
+      stopReported: false, // already returned by an untraced wait
+      orphaned: false, // handed to init, which does not wait for it
+    };
+    this.scheduler.admit(pcb);
+    if (opts.trace) this._attachTracer(pcb, parent ? parent.pid : 0);
+
+    this._setupStdio(pcb, parent, opts.stdio);
+
+    const sys = this._createSyscalls(pcb);
+    this.processes.push(pcb);
+    try {
+      pcb.iterator = program(sys, ...(opts.args || []));
+    } catch (err) {
+      this._log(pcb.pid, `Error starting program: ${String(err)}`, { level: "error" });
+      this._terminate(pcb, 1);
+    }
+    return pid;
+  }
+
+  // What `cmd` runs: the file it names if it has a "/", else the first
+  // match in $PATH, else the registered program of that name.
+  _resolveCommand(pcb, cmd) {
+    const cwd = pcb ? pcb.cwd : "/";
+    const env = pcb ? pcb.env : DEFAULT_ENV;
+    if (cmd.includes("/")) {
+      const path = normalizePath(cmd, cwd);
+      const node = this._lookupOrFail(path);
+      if (node.type === "file") this._checkAccess(pcb, node, Access.X_OK, path);
+      return this._loadExecutable(path, node);
+    }
+    for (const dir of (env.PATH ?? "").split(":").filter(Boolean)) {
+      const path = normalizePath(`${dir}/${cmd}`, cwd);
+      const node = this._lookup(path);
+      if (node && node.type === "file") {
+        this._checkAccess(pcb, node, Access.X_OK, path);
+        return this._loadExecutable(path, node);
+      }
+    }
+    const entry = this.programRegistry.get(cmd);
+    if (!entry) throw new KernelError("ENOENT", cmd);
+    return { name: cmd, path: null, ...entry };
+  }
+
+  // Executable files say what they are on their first line:
+  //   #!kernel <name>   a registered program
+  //   #!/bin/sh         a shell script
+  //   #!js              JavaScript source for compileProgram()
+  _loadExecutable(path, node) {
+    if (node.type === "dir") throw new KernelError("EISDIR", path);
+    const { name } = splitPath(path);
+    const text = toText(node.content);
+    const [first] = text.split("\n", 1);
+    if (first.startsWith("#!kernel")) {
+      const entry = this.programRegistry.get(first.slice(8).trim());
+      if (!entry) throw new KernelError("ENOEXEC", path);
+      return { name, path, ...entry };
+    }
+    const loaded = { name, path, priority: 1, daemon: false };
+    if (first.startsWith("#!/bin/sh")) {
+      loaded.program = (sys, ...args) => shProgram(sys, path, ...args);
+    } else if (first.startsWith("#!js")) {
+      try {
+        loaded.program = compileProgram(text.slice(first.length));
+      } catch (err) {
+        this._log(0, `${path}: ${err.message}`, { level: "error" });
+        throw new KernelError("ENOEXEC", path);
+      }
+    } else {
+      throw new KernelError("ENOEXEC", path);
+    }
+    return loaded;
+  }
+
+  _findPcb(pid) {
+    return this.processes.find((p) => p.pid === pid) || null;
+  }
+
+  _isAlive(pcb) {
+    return (
+      !!pcb &&
+      pcb.state !== ProcessState.ZOMBIE &&
+      pcb.state !== ProcessState.TERMINATED
+    );
+  }
+
+  // Single exit path for every way a process can die. The exit status is
+  // kept in a ZOMBIE until the parent collects it with wait()/waitpid();
+  // processes without a living parent, or orphans handed to init, are
+  // reaped straight away.
+  _terminate(pcb, exitCode) {
+    if (!this._isAlive(pcb)) return;
+    pcb.blockReason = null;
+    pcb.waitingFor = null;
+    pcb.exitCode = exitCode;
+
+    for (const child of this.processes) {
+      if (child.ppid === pcb.pid && child.state !== ProcessState.TERMINATED) {
+        this._reparentToInit(child, pcb);
+      }
+    }
+
+    const parent = this._findPcb(pcb.ppid);
+    if (this._isAlive(parent) && !pcb.orphaned) {
+      pcb.state = ProcessState.ZOMBIE;
+      this._notifyWaiter(parent, pcb);
+    } else {
+      pcb.state = ProcessState.TERMINATED;
+    }
+
+    this._releaseResources(pcb);
+    this._wakeTracers(pcb);
+  }
+
+  // Free everything a dead process held: file descriptors, ports and its
+  // mailbox. Messages nobody will ever read are bounced back to their
+  // senders.
+  _releaseResources(pcb) {
+    const reclaimed = [];
+    const openFds = [...pcb.fds.keys()];
+    for (const fd of openFds) this._closeFd(pcb, fd);
+    const userFds = openFds.filter((fd) => fd >= FIRST_FD).length;
+    if (userFds > 0) reclaimed.push(`${userFds} file descriptor(s)`);
+
+    for (const [port, entry] of [...this.ports.entries()]) {
+      if (entry.ownerPid !== pcb.pid) continue;
+      const queued = this._closePort(port, `port ${port} closed`);
+      reclaimed.push(queued ? `port ${port} (${queued} queued)` : `port ${port}`);
+    }
+
+    const queue = this.mailbox.get(pcb.pid) || [];
+    this.mailbox.delete(pcb.pid);
+    for (const msg of queue) this._bounce(msg, `pid ${pcb.pid} exited`);
+    if (queue.length > 0) reclaimed.push(`${queue.length} mailbox message(s)`);
+    this._retrySenders();
+
+    for (const p of this.processes) {
+      if (p.strace?.tracers.has(pcb.pid)) this._detachTracer(p, pcb.pid);
+    }
+
+    if (reclaimed.length > 0) {
+      this._log(0, `Reclaimed from pid=${pcb.pid}: ${reclaimed.join(", ")}`, {
+        level: "debug",
+      });
+    }
+  }
+
+  _unlisten(pcb, rawPort) {
+    const port = Number(rawPort);
+    const entry = this.ports.get(port);
+    if (!entry || entry.ownerPid !== pcb.pid) return false;
+    const queued = this._closePort(port, `port ${port} closed`);
+    this._log(
+      pcb.pid,
+      `Released port ${port}` + (queued ? ` (${queued} queued)` : ""),
+      { facility: "net" }
+    );
+    return true;
+  }
+
+  // Returns how many queued messages were bounced.
+  _closePort(port, reason) {
+    const entry = this.ports.get(port);
+    if (!entry) return 0;
+    this.ports.delete(port);
+    for (const msg of entry.queue) this._bounce(msg, reason);
+    this._retrySenders();
+    return entry.queue.length;
+  }
+
+  _bounce(msg, reason) {
+    // kernel notices are never bounced, nor is anything from another host
+    if (!msg.fromPid || msg.fromHost) return;
+    const sender = this._findPcb(msg.fromPid);
+    if (!this._isAlive(sender)) return;
+    this._enqueueMessage(sender, {
+      fromPid: 0,
+      payload: { type: "UNDELIVERABLE", reason, payload: msg.payload },
+    });
+  }
+
+  // Queue a message for `target`, handing it over at once if the target is
+  // blocked in RECV.
+  _enqueueMessage(target, msg) {
+    const queue = this.mailbox.get(target.pid) || [];
+    queue.push(msg);
+    this.mailbox.set(target.pid, queue);
+
+    if (
+      target.state === ProcessState.BLOCKED &&
+      target.blockReason === "recv"
+    ) {
+      this._wake(target, queue.shift());
+      target.acct.msgsRecv++;
+    } else {
+      this._wakePoller(target);
+    }
+  }
+
+  // Same for a port queue: the first process blocked in RECV_PORT on it
+  // gets the message, otherwise pollers watching the port are woken.
+  _enqueuePortMessage(port, entry, msg) {
+    entry.queue.push(msg);
+    const reader = this.processes.find(
+      (p) =>
+        p.state === ProcessState.BLOCKED &&
+        p.waitingFor &&
+        p.waitingFor.type === "RECV_PORT" &&
+        p.waitingFor.port === port
+    );
+    if (reader) {
+      this._wake(reader, entry.queue.shift());
+      reader.acct.msgsRecv++;
+      return;
+    }
+    for (const p of this.processes) this._wakePoller(p);
+  }
+
+  _wake(pcb, value) {
+    pcb.state = ProcessState.READY;
+    pcb.blockReason = null;
+    pcb.waitingFor = null;
+    pcb.nextValue = value;
+  }
+
+  // ---------- Poll ----------
+
+  // Sources: "mailbox" | { type: "mailbox" }, a port number |
+  // { type: "port", port }, { type: "timer", ms }, { type: "fd", fd }
+  // (readable: data or EOF waiting; for a listening socket, a connection)
+  // or a socket handle. The original source objects are what poll() hands
+  // back.
+  _normalizePollSource(source) {
+    if (source === "mailbox" || (source && source.type === "mailbox")) {
+      return { type: "mailbox", source };
+    }
+    if (typeof source === "number" || (source && source.type === "port")) {
+      const port = Number(typeof source === "number" ? source : source.port);
+      return { type: "port", port, source };
+    }
+    if (source && source.type === "timer") {
+      return { type: "timer", until: this.timeMs + (source.ms || 0), source };
+    }
+    if (source && source.type === "fd") {
+      return { type: "fd", fd: Number(source.fd), source };
+    }
+    return null;
+  }
+
+  // The ready sources, or undefined after blocking until one is.
+  _poll(pcb, rawSources, timeoutMs) {
+    if (rawSources != null && !Array.isArray(rawSources)) {
+      throw new KernelError("EINVAL", "poll sources must be an array");
+    }
+    if (timeoutMs != null && !Number.isFinite(timeoutMs)) {
+      throw new KernelError("EINVAL", `timeout ${timeoutMs}`);
+    }
+    const sources = (rawSources || [])
+      .map((src) => this._normalizePollSource(src))
+      .filter(Boolean);
+    const ready = this._pollReady(pcb, sources);
+    if (ready.length > 0 || timeoutMs === 0) return ready;
+    pcb.state = ProcessState.BLOCKED;
+    pcb.blockReason = "poll";
+    pcb.waitingFor = { type: "POLL", sources, until: this._deadline(timeoutMs) };
+    return undefined;
+  }
+
+  _pollReady(pcb, sources) {
+    return sources
+      .filter((s) => {
+        if (s.type === "mailbox") {
+          return (this.mailbox.get(pcb.pid) || []).length > 0;
+        }
+        if (s.type === "port") {
+          const entry = this.ports.get(s.port);
+          return !!entry && entry.queue.length > 0;
+        }
+        if (s.type === "fd") {
+          // a bad fd is "ready" too: the read that follows reports EBADF
+          const desc = pcb.fds.get(s.fd);
+          if (desc?.kind === "socket") return this._socketReady(desc.socket);
+          if (!desc || desc.kind !== "pipe") return true;
+          return desc.pipe.buffer.length > 0 || desc.pipe.writers === 0;
+        }
+        return this.timeMs >= s.until;
+      })
+      .map((s) => s.source);
+  }
+
+  _wakePoller(pcb) {
+    if (
+      pcb.state !== ProcessState.BLOCKED ||
+      !pcb.waitingFor ||
+      pcb.waitingFor.type !== "POLL"
+    ) {
+      return;
+    }
+    const ready = this._pollReady(pcb, pcb.waitingFor.sources);
+    if (ready.length > 0) this._wake(pcb, ready);
+  }
+
+  // Init only waits for the jobs it started itself, so the kernel reaps
+  // orphans for it: otherwise their zombies would fill the process table
+  // (a fork bomb) between two commands of the shell.
+  _reparentToInit(child, dying) {
+    const init = this._findPcb(1);
+    const initAlive = init && init !== dying && this._isAlive(init);
+    child.ppid = initAlive ? 1 : 0;
+    child.orphaned = true;
+    if (child.state === ProcessState.ZOMBIE) child.state = ProcessState.TERMINATED;
+  }
+
+  // Hand a zombie child to a parent blocked in WAIT, if it is waiting for it.
+  _notifyWaiter(parent, child) {
+    const w = parent.waitingFor;
+    if (
+      parent.state !== ProcessState.BLOCKED ||
+      !w ||
+      w.type !== "WAIT" ||
+      (w.pid !== -1 && w.pid !== child.pid)
+    ) {
+      return;
+    }
+    parent.state = ProcessState.READY;
+    parent.blockReason = null;
+    parent.waitingFor = null;
+    parent.nextValue = this._reap(child);
+  }
+
+  _reap(child) {
+    child.state = ProcessState.TERMINATED;
+    return { pid: child.pid, name: child.name, exitCode: child.exitCode };
+  }
+
+  // A child just stopped: wake a parent in an untraced wait for it.
+  _notifyStopped(child) {
+    const parent = this._findPcb(child.ppid);
+    const w = parent && parent.waitingFor;
+    if (
+      !parent ||
+      parent.state !== ProcessState.BLOCKED ||
+      !w ||
+      w.type !== "WAIT" ||
+      !w.untraced ||
+      (w.pid !== -1 && w.pid !== child.pid)
+    ) {
+      return;
+    }
+    parent.state = ProcessState.READY;
+    parent.blockReason = null;
+    parent.waitingFor = null;
+    parent.nextValue = this._reportStop(child);
+  }
+
+  _reportStop(child) {
+    child.stopReported = true;
+    return { pid: child.pid, name: child.name, exitCode: null, stopped: true };
+  }
+
+  _runProcess(pcb) {
+    if (!pcb.iterator || !this._isAlive(pcb)) return;
+    const { acct } = pcb;
+    if (acct.blockedSince !== null) {
+      acct.blockedMs += this.timeMs - acct.blockedSince;
+      acct.blockedSince = null;
+    }
+    if (pcb.pendingSignals.length > 0 && this._deliverSignals(pcb)) return;
+
+    pcb.state = ProcessState.RUNNING;
+    const input = pcb.nextValue;
+    pcb.nextValue = undefined;
+    if (pcb.recordEvent) this._recordResult(pcb, input);
+    if (pcb.strace?.current) this._straceResult(pcb, input);
+
+    let result;
+    try {
+      result = pcb.iterator.next(input);
+    } catch (err) {
+      this._log(pcb.pid, `Process crashed: ${String(err)}`, { level: "error" });
+      this._terminate(pcb, 1);
+      return;
+    }
+
+    if (result.done) {
+      if (pcb.signalFrames.length > 0) {
+        this._returnFromHandler(pcb);
+        return;
+      }
+      this._terminate(pcb, typeof result.value === "number" ? result.value : 0);
+      return;
+    }
+
+    const syscall = result.value || {};
+    this._handleSyscall(pcb, syscall);
+  }
+
+  // ---------- Network ----------
+
+  _isLocalHost(host) {
+    return (
+      host === "localhost" ||
+      host === "127.0.0.1" ||
+      (host !== null && (host === this.address || host === this.hostname))
+    );
+  }
+
+  // Put a packet on the wire; true once sent (whether it arrives is up to
+  // the link). ENETUNREACH without a network.
+  _sendPacket(host, packet) {
+    if (!this.network) throw new KernelError("ENETUNREACH", host);
+    const size = this.network._transmit(this, host, { ...packet, from: this.address });
+    this.netStats.txPackets++;
+    this.netStats.txBytes += size;
+    return true;
+  }
+
+  // Called by the network when hosts or links change, and recorded.
+  _netChanged() {
+    if (!this.network) {
+      this._recordInput("network", { address: null });
+      return;
+    }
+    this._recordInput("network", {
+      address: this.address,
+      hostname: this.hostname,
+      links: this.network.getLinks(this.address),
+    });
+  }
+
+  // Replay: a network of our own with the recorded hosts and links.
+  _restoreNetwork({ address, hostname, links }) {
+    if (address === null) {
+      this.network?.detach(this);
+      return;
+    }
+    if (!this.network) new VirtualNetwork().attach(this, { address, hostname });
+    this.network._restoreLinks(address, links);
+  }
+
+  // Called by the network: `packet` arrives once this kernel's clock
+  // reaches `deliverAt`. A host input, so it is recorded.
+  _netArrive(packet, deliverAt) {
+    const arrival = { deliverAt, packet };
+    this._recordInput("packet", arrival);
+    this.inbox.push(arrival);
+  }
+
+  _deliverPackets() {
+    const due = this.inbox
+      .filter((a) => a.deliverAt <= this.timeMs)
+      .sort((a, b) => a.deliverAt - b.deliverAt);
+    if (due.length === 0) return;
+    this.inbox = this.inbox.filter((a) => a.deliverAt > this.timeMs);
+    for (const { packet } of due) this._receivePacket(packet);
+  }
+
+  // Data goes to the port's queue (dropped if nobody listens or the queue
+  // is full), pings are answered, pongs wake the pinger.
+  _receivePacket(packet) {
+    this.netStats.rxPackets++;
+    this.netStats.rxBytes += packet.size;
+    if (packet.type === "data") {
+      const entry = this.ports.get(packet.port);
+      if (!entry || this._queueIsFull(entry.queue, this._findPcb(entry.ownerPid))) {
+        this.netStats.dropped++;
+        this._log(
+          0,
+          `Dropped packet from ${packet.from} to port ${packet.port}: ${entry ? "queue full" : "no listener"}`,
+          { level: "debug", facility: "net" }
+        );
+        return;
+      }
+      this._enqueuePortMessage(packet.port, entry, {
+        fromPid: packet.fromPid,
+        fromHost: packet.from,
+        payload: packet.payload,
+      });
+    } else if (packet.type === "ping") {
+      try {
+        this._sendPacket(packet.from, { type: "pong", id: packet.id });
+      } catch (err) {
+        if (!(err instanceof KernelError)) throw err; // the pinger left the network
+      }
+    } else if (packet.type === "pong") {
+      const pinger = this.processes.find(
+        (p) =>
+          p.state === ProcessState.BLOCKED &&
+          p.waitingFor?.type === "PING" &&
+          p.waitingFor.id === packet.id
+      );
+      if (pinger) this._wake(pinger, this.timeMs - pinger.waitingFor.sentAt);
+    }
+  }
+
+  // ---------- Sockets ----------
+
+  // Stream sockets are fds (kind "socket") onto a socket shared by all of
+  // them, closed when the last one goes:
+  //   { state: "new" | "bound" | "listening" | "connected" | "closed",
+  //     port, ownerPid, accepted, backlog, pending, rx, tx, refs }
+  // A listening socket keeps connections not yet accepted in `pending`.
+  // A connection is two channels { queue, eof, reset }, one each way: eof
+  // once the sending end has closed (the reader gets null when the queue
+  // is drained), reset once the receiving end has (the writer gets EPIPE).
+  _socketFor(pcb, fd) {
+    const desc = this._fileFor(pcb, fd);
+    if (desc.kind !== "socket") throw new KernelError("ENOTSOCK", String(fd));
+    return desc.socket;
+  }
+
+  _newSocket(pcb, fields = {}) {
+    return {
+      state: "new",
+      port: null,
+      ownerPid: pcb.pid,
+      accepted: false,
+      backlog: 0,
+      pending: [],
+      rx: null,
+      tx: null,
+      refs: 0,
+      ...fields,
+    };
+  }
+
+  _installSocket(pcb, socket) {
+    const fd = this._allocFd(pcb);
+    this._installFd(pcb, fd, { kind: "socket", socket, readable: true, writable: true });
+    return fd;
+  }
+
+  _bindSocket(socket, rawPort) {
+    const port = Number(rawPort);
+    if (!Number.isInteger(port) || port <= 0) throw new KernelError("EINVAL", String(rawPort));
+    if (socket.state !== "new") throw new KernelError("EINVAL", "socket already in use");
+    if (this.listeners.has(port)) throw new KernelError("EADDRINUSE", String(port));
+    socket.state = "bound";
+    socket.port = port;
+    this.listeners.set(port, socket);
+    return true;
+  }
+
+  // Queued on the listener until accepted: connect() does not wait for
+  // the server. Only ports of this host can be reached.
+  _connectSocket(pcb, socket, dest) {
+    const { host, port } = parseDestination(dest);
+    if (socket.state !== "new") throw new KernelError("EINVAL", "socket already in use");
+    if (host !== null && !this._isLocalHost(host)) {
+      throw new KernelError("EOPNOTSUPP", `stream to ${host}`);
+    }
+    const listener = this.listeners.get(port);
+    if (!listener || listener.state !== "listening") {
+      throw new KernelError("ECONNREFUSED", String(port));
+    }
+    if (listener.pending.length >= listener.backlog) {
+      throw new KernelError("ECONNREFUSED", `${port}: backlog full`);
+    }
+    const up = { queue: [], eof: false, reset: false };
+    const down = { queue: [], eof: false, reset: false };
+    Object.assign(socket, { state: "connected", port, rx: down, tx: up });
+    listener.pending.push(
+      this._newSocket(pcb, { state: "connected", port, accepted: true, rx: up, tx: down })
+    );
+    this._wakeSocketWaiters(listener);
+    return true;
+  }
+
+  _acceptSocket(pcb, socket, timeoutMs) {
+    if (socket.state !== "listening") throw new KernelError("EINVAL", "not listening");
+    if (socket.pending.length === 0) {
+      return timeoutMs === 0 ? null : this._blockOnSocket(pcb, "accept", socket, timeoutMs);
+    }
+    const conn = socket.pending.shift();
+    conn.ownerPid = pcb.pid;
+    return this._installSocket(pcb, conn);
+  }
+
+  // A full channel holds the sender like a full port queue (maxQueue of
+  // the sender, who is the one filling it).
+  _socketSend(pcb, socket, data) {
+    if (socket.state !== "connected") throw new KernelError("ENOTCONN");
+    if (socket.tx.reset) throw new KernelError("EPIPE");
+    if (this._queueIsFull(socket.tx.queue, pcb)) {
+      this._queueFull(pcb, { type: "SOCK_SEND" });
+      return pcb.nextValue;
+    }
+    socket.tx.queue.push(data);
+    pcb.acct.msgsSent++;
+    this._wakeSocketWaiters(socket.tx);
+    return true;
+  }
+
+  _socketRecv(pcb, socket, timeoutMs) {
+    if (socket.state !== "connected") throw new KernelError("ENOTCONN");
+    const { rx } = socket;
+    if (rx.queue.length > 0) {
+      pcb.acct.msgsRecv++;
+      const data = rx.queue.shift();
+      this._retrySenders();
+      return data;
+    }
+    if (rx.eof || timeoutMs === 0) return null;
+    return this._blockOnSocket(pcb, "recv_socket", rx, timeoutMs);
+  }
+
+  // What poll() calls readable; other states are "ready" so that the call
+  // that follows reports the error.
+  _socketReady(socket) {
+    if (socket.state === "listening") return socket.pending.length > 0;
+    if (socket.state === "connected") return socket.rx.queue.length > 0 || socket.rx.eof;
+    return true;
+  }
+
+  _blockOnSocket(pcb, reason, on, timeoutMs) {
+    pcb.state = ProcessState.BLOCKED;
+    pcb.blockReason = reason;
+    pcb.waitingFor = {
+      type: reason === "accept" ? "ACCEPT" : "SOCK_RECV",
+      on,
+      until: this._deadline(timeoutMs),
+    };
+    return undefined;
+  }
+
+  // Something changed on a listener or a channel: processes blocked on it
+  // try their accept()/recv() again, pollers look again.
+  _wakeSocketWaiters(on) {
+    for (const p of this.processes) {
+      this._wakePoller(p);
+      if (p.state === ProcessState.BLOCKED && p.waitingFor?.on === on) {
+        this._restartSyscall(p, { syscall: p.lastSyscall, waitingFor: p.waitingFor });
+      }
+    }
+  }
+
+  // The last fd is gone: the port is free again, connections nobody
+  // accepted are closed, and the peer sees end of stream.
+  _closeSocket(socket) {
+    if (socket.state === "closed") return;
+    socket.state = "closed";
+    if (this.listeners.get(socket.port) === socket) this.listeners.delete(socket.port);
+    for (const conn of socket.pending) this._closeSocket(conn);
+    socket.pending = [];
+    if (socket.rx) {
+      socket.rx.reset = true;
+      socket.rx.queue = [];
+    }
+    if (socket.tx) {
+      socket.tx.eof = true;
+      this._wakeSocketWaiters(socket.tx);
+    }
+    // senders blocked on our full channel get EPIPE
+    this._retrySenders();
+  }
+
+  // Stream ports for getPortsTable: the backlog of each listener, and
+  // how many connections it accepted are still open.
+  _streamPorts() {
+    const accepted = new Set();
+    for (const p of this.processes) {
+      for (const desc of p.fds.values()) {
+        if (desc.kind === "socket" && desc.socket.accepted) accepted.add(desc.socket);
+      }
+    }
+    return [...this.listeners.entries()].map(([port, socket]) => ({
+      port,
+      proto: "stream",
+      ownerPid: socket.ownerPid,
+      listening: socket.state === "listening",
+      queueLength: socket.pending.length,
+      connections: [...accepted].filter((c) => c.port === port).length,
+    }));
+  }
+
+  // ---------- Limits ----------
+
+  // A new process's limits: its parent's (the kernel's for the host's
+  // spawns) with `requested` applied on top.
+  _processLimits(parent, requested = {}) {
+    const base = {};
+    for (const key of PROCESS_LIMITS) base[key] = parent ? parent.limits[key] : this.limits[key];
+    const limits = { ...base };
+    for (const [key, value] of Object.entries(requested)) {
+      if (!PROCESS_LIMITS.includes(key)) throw new KernelError("EINVAL", `limit ${key}`);
+      limits[key] = limitValue(value);
+      if (limits[key] > base[key] && parent && parent.uid !== 0) {
+        throw new KernelError("EPERM", `raise ${key}`);
+      }
+    }
+    return limits;
+  }
+
+  // EAGAIN when the process table is full or `parent` has as many living
+  // children as it may. The last RESERVED_PROCESS_SLOTS entries (a
+  // quarter of a small table) are left to init and the host, so that the
+  // shell can still run ps and kill when a runaway process has taken all
+  // the others.
+  _checkProcessSlots(parent) {
+    const used = this.processes.filter((p) => p.state !== ProcessState.TERMINATED);
+    const max = this.limits.maxProcesses;
+    const reserved =
+      parent && parent.pid !== 1 ? Math.min(RESERVED_PROCESS_SLOTS, Math.floor(max / 4)) : 0;
+    if (used.length >= max - reserved) {
+      throw new KernelError("EAGAIN", `${used.length} processes`);
+    }
+    if (!parent) return;
+    const children = used.filter((p) => p.ppid === parent.pid && this._isAlive(p));
+    if (children.length >= parent.limits.maxChildren) {
+      throw new KernelError("EAGAIN", `pid ${parent.pid}: ${children.length} children`);
+    }
+  }
+
+  // SIGXCPU once the step budget is used up (a handler may catch it to
+  // clean up), SIGKILL XCPU_GRACE_STEPS later.
+  _overStepBudget(pcb) {
+    const over = pcb.acct.steps - pcb.limits.maxSteps;
+    if (over !== 0 && over !== XCPU_GRACE_STEPS) return;
+    const sig = over === 0 ? "SIGXCPU" : "SIGKILL";
+    this._log(pcb.pid, `Step budget of ${pcb.limits.maxSteps} used up: ${sig}`, {
+      level: "warn",
+      facility: "sched",
+    });
+    this._postSignal(pcb, sig);
+  }
+
+  _queueIsFull(queue, owner) {
+    return (queue?.length ?? 0) >= owner.limits.maxQueue;
+  }
+
+  // SEND / SEND_PORT to a full queue: the sender blocks until
+  // _retrySenders finds room, or fails with EAGAIN when the kernel's
+  // queueFull limit says "error".
+  _queueFull(pcb, waitingFor) {
+    if (this.limits.queueFull === "error") {
+      this._complete(
+        pcb,
+        () => {
+          throw new KernelError("EAGAIN", "queue full");
+        },
+        false
+      );
+      return;
+    }
+    pcb.state = ProcessState.BLOCKED;
+    pcb.blockReason = "send";
+    pcb.waitingFor = waitingFor;
+    pcb.nextValue = undefined;
+  }
+
+  // A queue got room, or its owner is gone: blocked senders try again
+  // (and block again if theirs is still full).
+  _retrySenders() {
+    for (const p of this.processes) {
+      if (p.state !== ProcessState.BLOCKED || p.blockReason !== "send") continue;
+      p.waitingFor = null;
+      this._dispatchSyscall(p, p.lastSyscall);
+    }
+  }
+
+  // Writes that grow a file are held to the writer's maxFileBytes (EFBIG)
+  // and the kernel's maxVfsBytes (ENOSPC); the kernel's own are not.
+  _checkSpace(pcb, node, size) {
+    const old = node ? this._sizeOf(node) : 0;
+    if (!pcb || size <= old) return;
+    if (size > pcb.limits.maxFileBytes) {
+      throw new KernelError("EFBIG", `${size} > ${pcb.limits.maxFileBytes} bytes`);
+    }
+    const used = this._vfsBytes() - old + size;
+    if (used > this.limits.maxVfsBytes) {
+      throw new KernelError("ENOSPC", `${used} > ${this.limits.maxVfsBytes} bytes`);
+    }
+  }
+
+  _vfsBytes() {
+    let bytes = 0;
+    const visit = (dir) => {
+      for (const node of dir.children.values()) {
+        if (node.type === "dir") visit(node);
+        else bytes += this._sizeOf(node);
+      }
+    };
+    visit(this.vfs);
+    return bytes;
+  }
+
+  // ---------- Signals ----------
+
+  // SIGKILL and SIGSTOP act at once; everything else is queued and handled
+  // the next time the target is scheduled. A blocked target is woken up so
+  // that happens, and its blocking syscall is restarted afterwards.
+  _postSignal(target, sig) {
+    if (!this._isAlive(target)) return false;
+    if (sig === "SIGKILL") {
+      this._terminate(target, 128 + Signals.SIGKILL);
+      return true;
+    }
+    if (sig === "SIGSTOP") {
+      this._stop(target);
+      return true;
+    }
+    if (sig === "SIGCONT") {
+      this._continue(target);
+      if (typeof target.signalHandlers.SIGCONT !== "function") return true;
+    }
+    if (!target.pendingSignals.includes(sig)) target.pendingSignals.push(sig);
+    if (target.state === ProcessState.BLOCKED) this._interrupt(target);
+    return true;
+  }
+
+  // Root may signal anyone, other users only their own processes; the
+  // kernel itself (sender null, e.g. Ctrl+C) is never refused.
+  _maySignal(sender, target) {
+    return !sender || sender.uid === 0 || sender.uid === target.uid;
+  }
+
+  // kill(-pgid): every living member of the group.
+  _signalGroup(pgid, sig) {
+    const members = this.processes.filter(
+      (p) => p.pgid === pgid && this._isAlive(p)
+    );
+    for (const p of members) this._postSignal(p, sig);
+    return members.length > 0;
+  }
+
+  _interrupt(pcb) {
+    pcb.interrupted = { syscall: pcb.lastSyscall, waitingFor: pcb.waitingFor };
+    pcb.state = ProcessState.READY;
+    pcb.blockReason = null;
+    pcb.waitingFor = null;
+  }
+
+  _stop(pcb) {
+    if (pcb.state === ProcessState.STOPPED) return;
+    pcb.stoppedFrom = {
+      state:
+        pcb.state === ProcessState.BLOCKED
+          ? ProcessState.BLOCKED
+          : ProcessState.READY,
+      waitingFor: pcb.waitingFor,
+    };
+    pcb.state = ProcessState.STOPPED;
+    pcb.blockReason = "stopped";
+    pcb.waitingFor = null;
+    pcb.stopReported = false;
+    if (pcb.ppid) this._notifyStopped(pcb);
+  }
+
+  _continue(pcb) {
+    if (pcb.state !== ProcessState.STOPPED) return;
+    const from = pcb.stoppedFrom;
+    pcb.stoppedFrom = null;
+    pcb.state = ProcessState.READY;
+    pcb.blockReason = null;
+    // whatever it was waiting for may have happened while it was stopped
+    if (from.state === ProcessState.BLOCKED) {
+      this._restartSyscall(pcb, {
+        syscall: pcb.lastSyscall,
+        waitingFor: from.waitingFor,
+      });
+    }
+  }
+
+  // Re-issue a blocking syscall. If it blocks again it keeps its original
+  // deadline instead of starting the sleep/timeout over.
+  _restartSyscall(pcb, { syscall, waitingFor }) {
+    if (!syscall) return;
+    this._handleSyscall(pcb, syscall);
+    if (
+      pcb.state === ProcessState.BLOCKED &&
+      waitingFor &&
+      pcb.waitingFor &&
+      pcb.waitingFor.type === waitingFor.type
+    ) {
+      pcb.waitingFor = waitingFor;
+      this._checkTimers();
+    }
+  }
+
+  // Returns true when the step has been used up (the process died or went
+  // back to its interrupted syscall) and the iterator must not be resumed.
+  _deliverSignals(pcb) {
+    while (pcb.pendingSignals.length > 0) {
+      const sig = pcb.pendingSignals.shift();
+      const handler = pcb.signalHandlers[sig];
+      if (handler === "ignore") continue;
+
+      if (typeof handler === "function") {
+        let it;
+        try {
+          it = handler(sig);
+        } catch (err) {
+          this._log(pcb.pid, `Signal handler for ${sig} crashed: ${String(err)}`, {
+            level: "error",
+          });
+          this._terminate(pcb, 1);
+          return true;
+        }
+        // plain functions have already run; generators become the running
+        // iterator until they finish
+        if (it && typeof it.next === "function") {
+          pcb.signalFrames.push({
+            iterator: pcb.iterator,
+            nextValue: pcb.nextValue,
+            interrupted: pcb.interrupted,
+          });
+          pcb.iterator = it;
+          pcb.nextValue = undefined;
+          pcb.interrupted = null;
+          return false;
+        }
+        continue;
+      }
+
+      if (sig === "SIGTSTP") {
+        // park the interrupted syscall first, so SIGCONT restarts it
+        if (pcb.interrupted) {
+          const interrupted = pcb.interrupted;
+          pcb.interrupted = null;
+          this._restartSyscall(pcb, interrupted);
+        }
+        this._stop(pcb);
+        return true;
+      }
+
+      if (TERMINATING_SIGNALS.has(sig)) {
+        this._log(pcb.pid, `Terminated by ${sig}`);
+        this._terminate(pcb, 128 + Signals[sig]);
+        return true;
+      }
+    }
+
+    if (pcb.interrupted) {
+      const interrupted = pcb.interrupted;
+      pcb.interrupted = null;
+      this._restartSyscall(pcb, interrupted);
+      return true;
+    }
+    return false;
+  }
+
+  _returnFromHandler(pcb) {
+    const frame = pcb.signalFrames.pop();
+    pcb.iterator = frame.iterator;
+    pcb.nextValue = frame.nextValue;
+    pcb.state = ProcessState.READY;
+    pcb.blockReason = null;
+    if (frame.interrupted) this._restartSyscall(pcb, frame.interrupted);
+  }
+
+  _handleSyscall(pcb, syscall) {
+    pcb.lastSyscall = syscall;
+    const { acct } = pcb;
+    acct.syscalls[syscall.type] = (acct.syscalls[syscall.type] ?? 0) + 1;
+    this.totals.syscalls++;
+    if (this.recording) this._recordCall(pcb, syscall);
+    const entry = pcb.strace ? this._straceCall(pcb, syscall) : null;
+    this._dispatchSyscall(pcb, syscall);
+    if (pcb.state === ProcessState.BLOCKED) acct.blockedSince ??= this.timeMs;
+    if (entry) {
+      entry.state = pcb.state;
+      entry.blockReason = pcb.blockReason;
+    }
+  }
+
+  _dispatchSyscall(pcb, syscall) {
+    switch (syscall.type) {
+      case "SLEEP": {
+        const until = this.timeMs + (syscall.ms || 0);
+        pcb.blockReason = "sleep";
+        pcb.state = ProcessState.BLOCKED;
+        pcb.waitingFor = { type: "SLEEP", until };
+        break;
+      }
+
+      case "LOG": {
+        const { level = "info", facility = "user" } = syscall.opts || {};
+        this._complete(
+          pcb,
+          () => {
+            if (!LogLevels.includes(level)) {
+              throw new KernelError("EINVAL", `log level ${level}`);
+            }
+            if (!LogFacilities.includes(facility)) {
+              throw new KernelError("EINVAL", `log facility ${facility}`);
+            }
+            this._log(pcb.pid, syscall.message ?? "", { level, facility });
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      // Log entries matching a filter (see getLogs); with `wait` it blocks
+      // until there is at least one.
+      case "READ_LOG": {
+        const { wait = false, ...filter } = syscall.filter || {};
+        this._complete(pcb, () => this._filterLogs(filter));
+        if (wait && pcb.nextValue?.length === 0) {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "log";
+          pcb.waitingFor = { type: "READ_LOG", filter };
+          pcb.nextValue = undefined;
+        }
+        break;
       }
 
       case "GET_PID": {
         pcb.state = ProcessState.READY;
         pcb.blockReason = null;
-        pcb.nextValue = pcb.pid;
+        pcb.nextValue = pcb.pid;
+        break;
+      }
+
+      // The kernel's clock and seeded generator, so that programs stay
+      // reproducible in deterministic mode.
+      case "TIME": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.now();
+        break;
+      }
+
+      case "RANDOM": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.random();
+        break;
+      }
+
+      case "SEND": {
+        const target = this._findPcb(syscall.toPid);
+        const alive = this._isAlive(target);
+        if (alive && this._queueIsFull(this.mailbox.get(target.pid), target)) {
+          this._queueFull(pcb, { type: "SEND", toPid: target.pid });
+          break;
+        }
+        if (alive) {
+          this._enqueueMessage(target, {
+            fromPid: pcb.pid,
+            payload: syscall.payload,
+          });
+          pcb.acct.msgsSent++;
+        }
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = alive;
+        break;
+      }
+
+      case "RECV": {
+        const queue = this.mailbox.get(pcb.pid) || [];
+        if (queue.length > 0) {
+          const msg = queue.shift();
+          this.mailbox.set(pcb.pid, queue);
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = msg;
+          pcb.acct.msgsRecv++;
+          this._retrySenders();
+        } else if (syscall.timeoutMs === 0) {
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = null;
+        } else {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "recv";
+          pcb.waitingFor = {
+            type: "RECV",
+            until: this._deadline(syscall.timeoutMs),
+          };
+        }
+        break;
+      }
+
+      case "LISTEN": {
+        const port = Number(syscall.port);
+        const existing = this.ports.get(port);
+        if (existing && existing.ownerPid !== pcb.pid) {
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = false;
+        } else {
+          const entry = existing || { ownerPid: pcb.pid, queue: [] };
+          entry.ownerPid = pcb.pid;
+          this.ports.set(port, entry);
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = true;
+        }
+        break;
+      }
+
+      case "UNLISTEN": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this._unlisten(pcb, syscall.port);
+        break;
+      }
+
+      // to a local port, or "host:port" over the network
+      case "SEND_PORT": {
+        const { host, port } = parseDestination(syscall.port);
+        if (host !== null && !this._isLocalHost(host)) {
+          this._complete(
+            pcb,
+            () => this._sendPacket(host, { type: "data", port, fromPid: pcb.pid, payload: syscall.payload }),
+            false
+          );
+          if (pcb.nextValue) pcb.acct.msgsSent++;
+          break;
+        }
+        const entry = this.ports.get(port);
+        if (entry && this._queueIsFull(entry.queue, this._findPcb(entry.ownerPid))) {
+          this._queueFull(pcb, { type: "SEND_PORT", port });
+          break;
+        }
+        if (entry) {
+          this._enqueuePortMessage(port, entry, {
+            fromPid: pcb.pid,
+            payload: syscall.payload,
+          });
+          pcb.acct.msgsSent++;
+        }
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = true;
+        break;
+      }
+
+      case "RECV_PORT": {
+        const port = Number(syscall.port);
+        const entry = this.ports.get(port);
+        if (entry && entry.queue.length > 0) {
+          const msg = entry.queue.shift();
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = msg;
+          pcb.acct.msgsRecv++;
+          this._retrySenders();
+        } else if (syscall.timeoutMs === 0) {
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = null;
+        } else {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "recv_port";
+          pcb.waitingFor = {
+            type: "RECV_PORT",
+            port,
+            until: this._deadline(syscall.timeoutMs),
+          };
+        }
+        break;
+      }
+
+      case "POLL": {
+        this._complete(pcb, () => this._poll(pcb, syscall.sources, syscall.timeoutMs));
+        break;
+      }
+
+      // stream sockets (see Sockets); all but SOCKET take the socket's fd
+      case "SOCKET": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this._installSocket(pcb, this._newSocket(pcb));
+        break;
+      }
+
+      case "BIND": {
+        this._complete(
+          pcb,
+          () => this._bindSocket(this._socketFor(pcb, syscall.fd), syscall.port),
+          false
+        );
+        break;
+      }
+
+      case "SOCK_LISTEN": {
+        this._complete(
+          pcb,
+          () => {
+            const socket = this._socketFor(pcb, syscall.fd);
+            if (socket.state !== "bound" && socket.state !== "listening") {
+              throw new KernelError("EINVAL", "socket not bound");
+            }
+            const backlog = Number(syscall.backlog ?? DEFAULT_BACKLOG);
+            if (!Number.isInteger(backlog) || backlog < 0) {
+              throw new KernelError("EINVAL", `backlog ${syscall.backlog}`);
+            }
+            socket.state = "listening";
+            socket.backlog = backlog;
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "ACCEPT": {
+        this._complete(pcb, () =>
+          this._acceptSocket(pcb, this._socketFor(pcb, syscall.fd), syscall.timeoutMs)
+        );
+        break;
+      }
+
+      case "CONNECT": {
+        this._complete(
+          pcb,
+          () => this._connectSocket(pcb, this._socketFor(pcb, syscall.fd), syscall.dest),
+          false
+        );
+        break;
+      }
+
+      case "SOCK_SEND": {
+        this._complete(
+          pcb,
+          () => this._socketSend(pcb, this._socketFor(pcb, syscall.fd), syscall.data),
+          false
+        );
+        break;
+      }
+
+      case "SOCK_RECV": {
+        this._complete(pcb, () =>
+          this._socketRecv(pcb, this._socketFor(pcb, syscall.fd), syscall.timeoutMs)
+        );
+        break;
+      }
+
+      case "SPAWN": {
+        this._complete(pcb, () =>
+          this._spawnInternal(syscall.program, syscall.opts || {}, pcb)
+        );
+        break;
+      }
+
+      // strace: attach returns the seq of the last entry so far, read
+      // { entries, alive, exitCode } with the finished entries after
+      // `since` (with `wait`, blocking until there is one or the process
+      // has exited).
+      case "TRACE_ATTACH": {
+        this._complete(pcb, () => {
+          const target = this._traceTarget(pcb, syscall.pid);
+          this._attachTracer(target, pcb.pid);
+          return target.strace.seq;
+        });
+        break;
+      }
+
+      case "TRACE_DETACH": {
+        this._complete(
+          pcb,
+          () => {
+            this._detachTracer(this._traceTarget(pcb, syscall.pid), pcb.pid);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "TRACE_READ": {
+        const { since = 0, wait = false } = syscall.opts || {};
+        this._complete(pcb, () =>
+          this._traceRead(this._traceTarget(pcb, syscall.pid), since)
+        );
+        const res = pcb.nextValue;
+        if (wait && res && res.alive && res.entries.length === 0) {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "trace";
+          pcb.waitingFor = { type: "TRACE_READ", pid: Number(syscall.pid), since };
+          pcb.nextValue = undefined;
+        }
+        break;
+      }
+
+      case "WHICH": {
+        this._complete(pcb, () => {
+          const cmd = this._resolveCommand(pcb, String(syscall.cmd ?? ""));
+          const { name, path, priority, daemon } = cmd;
+          return { name, path, priority, daemon };
+        });
+        break;
+      }
+
+      case "EXIT": {
+        this._terminate(
+          pcb,
+          typeof syscall.code === "number" ? syscall.code : pcb.exitCode ?? 0
+        );
+        break;
+      }
+
+      case "WAIT": {
+        const want = syscall.pid ?? -1;
+        const children = this.processes.filter(
+          (p) =>
+            p.ppid === pcb.pid &&
+            p.state !== ProcessState.TERMINATED &&
+            (want === -1 || p.pid === want)
+        );
+        const zombie = children.find((p) => p.state === ProcessState.ZOMBIE);
+        const stopped =
+          syscall.untraced &&
+          children.find(
+            (p) => p.state === ProcessState.STOPPED && !p.stopReported
+          );
+        if (zombie) {
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = this._reap(zombie);
+        } else if (stopped) {
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = this._reportStop(stopped);
+        } else if (children.length === 0 || syscall.noHang) {
+          // no such child, or nothing has exited yet and we must not block
+          pcb.state = ProcessState.READY;
+          pcb.blockReason = null;
+          pcb.nextValue = null;
+        } else {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "wait";
+          pcb.waitingFor = {
+            type: "WAIT",
+            pid: want,
+            untraced: !!syscall.untraced,
+          };
+        }
+        break;
+      }
+
+      case "GET_PPID": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.ppid;
+        break;
+      }
+
+      case "PS": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.getProcessTable();
+        break;
+      }
+
+      // the caller's own limits and the kernel-wide ones, null: unlimited
+      case "GET_LIMITS": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = exportLimits({ ...this.limits, ...pcb.limits });
+        break;
+      }
+
+      // ping a host: resolves to the round trip in ms, null on timeout
+      case "PING": {
+        const { host, timeoutMs = 1000 } = syscall;
+        this._complete(pcb, () => {
+          if (this._isLocalHost(String(host))) return 0;
+          const id = ++this.pingSeq;
+          this._sendPacket(String(host), { type: "ping", id });
+          return id;
+        });
+        if (pcb.nextValue) {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "ping";
+          pcb.waitingFor = {
+            type: "PING",
+            id: pcb.nextValue,
+            sentAt: this.timeMs,
+            until: this._deadline(timeoutMs),
+          };
+          pcb.nextValue = undefined;
+        }
+        break;
+      }
+
+      case "NET_INFO": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.getNetInfo();
+        break;
+      }
+
+      case "STATS": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.getStats();
+        break;
+      }
+
+      case "LIST_FILES": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.listFiles();
+        break;
+      }
+
+      // encoding "utf8" (the default) reads a string, null the raw bytes
+      case "READ_FILE": {
+        this._complete(pcb, () => {
+          const { encoding } = syscall;
+          if (encoding !== null && !/^utf-?8$/i.test(encoding)) {
+            throw new KernelError("EINVAL", String(encoding));
+          }
+          const path = this._resolve(pcb, syscall.path);
+          const node = this._lookupOrFail(path);
+          if (node.type === "dir") throw new KernelError("EISDIR");
+          this._checkAccess(pcb, node, Access.R_OK, path);
+          return encoding === null
+            ? new Uint8Array(toBytes(node.content))
+            : toText(node.content);
+        });
+        break;
+      }
+
+      // text, or binary data as Uint8Array / ArrayBuffer; returns bytes
+      case "WRITE_FILE": {
+        const content = fileContent(syscall.text);
+        this._complete(pcb, () => {
+          const path = this._resolve(pcb, syscall.path);
+          this._writeFile(path, content, pcb);
+          const size = this._sizeOf(this._lookup(path));
+          pcb.acct.vfsBytes += size;
+          return size;
+        });
+        break;
+      }
+
+      case "UNLINK": {
+        this._complete(
+          pcb,
+          () => {
+            this._unlinkFile(this._resolve(pcb, syscall.path), pcb);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "MKDIR": {
+        this._complete(
+          pcb,
+          () => {
+            this._mkdir(
+              this._resolve(pcb, syscall.path),
+              syscall.opts || {},
+              pcb
+            );
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "RMDIR": {
+        this._complete(
+          pcb,
+          () => {
+            this._rmdir(this._resolve(pcb, syscall.path), pcb);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "READDIR": {
+        this._complete(pcb, () =>
+          this._readdir(this._resolve(pcb, syscall.path ?? "."), pcb)
+        );
+        break;
+      }
+
+      // Owner (or root) sets the mode bits; only root gives files away.
+      case "CHMOD": {
+        this._complete(
+          pcb,
+          () => {
+            const path = this._resolve(pcb, syscall.path);
+            const node = this._lookupOrFail(path);
+            const mode = Number(syscall.mode);
+            if (!Number.isInteger(mode) || mode < 0 || mode > 0o7777) {
+              throw new KernelError("EINVAL", String(syscall.mode));
+            }
+            if (pcb.uid !== 0 && pcb.uid !== node.uid) {
+              throw new KernelError("EPERM", path);
+            }
+            node.mode = mode;
+            this._markDirty(path, pcb);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "CHOWN": {
+        this._complete(
+          pcb,
+          () => {
+            const path = this._resolve(pcb, syscall.path);
+            const node = this._lookupOrFail(path);
+            if (pcb.uid !== 0) throw new KernelError("EPERM", path);
+            if (syscall.uid != null) node.uid = Number(syscall.uid);
+            if (syscall.gid != null) node.gid = Number(syscall.gid);
+            this._markDirty(path, pcb);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "STAT": {
+        this._complete(pcb, () => this._stat(this._resolve(pcb, syscall.path)));
+        break;
+      }
+
+      case "RENAME": {
+        this._complete(
+          pcb,
+          () => {
+            this._rename(
+              this._resolve(pcb, syscall.from),
+              this._resolve(pcb, syscall.to),
+              pcb
+            );
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "CHDIR": {
+        this._complete(
+          pcb,
+          () => {
+            const path = this._resolve(pcb, syscall.path ?? "/");
+            const node = this._lookupOrFail(path);
+            if (node.type !== "dir") throw new KernelError("ENOTDIR", path);
+            this._checkAccess(pcb, node, Access.X_OK, path);
+            pcb.cwd = path;
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "OPEN": {
+        this._complete(pcb, () =>
+          this._open(pcb, this._resolve(pcb, syscall.path), syscall.flags)
+        );
+        break;
+      }
+
+      case "READ":
+      case "READ_LINE": {
+        this._complete(pcb, () => this._fdRead(pcb, syscall));
+        break;
+      }
+
+      case "WRITE": {
+        this._complete(pcb, () => this._fdWrite(pcb, syscall.fd, syscall.data));
+        break;
+      }
+
+      case "PIPE": {
+        const pipe = { buffer: "", readers: 0, writers: 0 };
+        const readFd = this._allocFd(pcb);
+        this._installFd(pcb, readFd, {
+          kind: "pipe",
+          pipe,
+          readable: true,
+          writable: false,
+        });
+        const writeFd = this._allocFd(pcb);
+        this._installFd(pcb, writeFd, {
+          kind: "pipe",
+          pipe,
+          readable: false,
+          writable: true,
+        });
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = [readFd, writeFd];
+        break;
+      }
+
+      case "SEEK": {
+        this._complete(pcb, () => {
+          const file = this._fileFor(pcb, syscall.fd);
+          if (file.kind !== "file") throw new KernelError("ESPIPE");
+          const whence = String(syscall.whence ?? "SET").toUpperCase();
+          const base =
+            whence === "CUR" || whence === "1"
+              ? file.offset
+              : whence === "END" || whence === "2"
+              ? byteSize(file.node.content)
+              : 0;
+          const offset = base + Number(syscall.offset || 0);
+          if (!Number.isFinite(offset) || offset < 0) {
+            throw new KernelError("EINVAL", String(syscall.offset));
+          }
+          file.offset = offset;
+          return offset;
+        });
+        break;
+      }
+
+      // close() takes a file descriptor; for anything that is not an open
+      // fd it falls back to releasing a port, as close(port) always did.
+      case "CLOSE": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        if (pcb.fds.has(syscall.fd)) {
+          this._closeFd(pcb, syscall.fd);
+          pcb.nextValue = true;
+        } else {
+          pcb.nextValue = this._unlisten(pcb, syscall.fd);
+          if (!pcb.nextValue) pcb.errno = "EBADF";
+        }
+        break;
+      }
+
+      case "GETCWD": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.cwd;
+        break;
+      }
+
+      case "SET_FOREGROUND": {
+        this._complete(pcb, () => this._setForeground(pcb, syscall.pgid ?? pcb.pgid));
+        break;
+      }
+
+      case "GET_UID": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.uid;
+        break;
+      }
+
+      case "GET_GID": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.gid;
+        break;
+      }
+
+      // Become another user: root may switch freely, anyone else needs
+      // the password from /etc/shadow. Resolves to the passwd entry.
+      case "LOGIN": {
+        this._complete(pcb, () => {
+          const name = String(syscall.name ?? "");
+          const user = this._findUser(name);
+          if (!user) throw new KernelError("ENOENT", name);
+          if (pcb.uid !== 0 && !this._checkPassword(name, syscall.password)) {
+            this._log(pcb.pid, `Authentication failure for ${name}`, { level: "warn" });
+            throw new KernelError("EPERM", name);
+          }
+          pcb.uid = user.uid;
+          pcb.gid = user.gid;
+          this._log(pcb.pid, `Logged in as ${name} (uid=${user.uid})`);
+          return user;
+        });
+        break;
+      }
+
+      case "GET_PGID": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.pgid;
+        break;
+      }
+
+      case "GETENV": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue =
+          syscall.name == null
+            ? { ...pcb.env }
+            : pcb.env[syscall.name] ?? null;
+        break;
+      }
+
+      case "SETENV": {
+        this._complete(
+          pcb,
+          () => {
+            const name = String(syscall.name ?? "");
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+              throw new KernelError("EINVAL", name);
+            }
+            if (syscall.value == null) delete pcb.env[name];
+            else pcb.env[name] = String(syscall.value);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      // Wait until the VFS changes made so far are in storage; false with
+      // errno ENOSPC / EIO if saving this process's changes failed.
+      case "FSYNC": {
+        this.flush();
+        if (this.flushesInFlight === 0) {
+          this._finishFsync(pcb);
+        } else {
+          pcb.state = ProcessState.BLOCKED;
+          pcb.blockReason = "fsync";
+          pcb.waitingFor = { type: "FSYNC" };
+        }
+        break;
+      }
+
+      case "GET_ERRNO": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = pcb.errno;
+        break;
+      }
+
+      case "LIST_PORTS": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = this.getPortsTable();
+        break;
+      }
+
+      case "SCHED": {
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        if (syscall.policy && pcb.uid !== 0) {
+          pcb.errno = "EPERM";
+          pcb.nextValue = null;
+        } else if (syscall.policy) {
+          try {
+            pcb.nextValue = this._switchScheduler(syscall.policy, syscall.opts || {});
+          } catch {
+            pcb.errno = "EINVAL";
+            pcb.nextValue = null;
+          }
+        } else {
+          pcb.nextValue = this.getSchedulerInfo();
+        }
+        break;
+      }
+
+      case "KILL": {
+        const targetPid = Number(syscall.targetPid);
+        const sig = normalizeSignal(syscall.signal || "SIGTERM");
+        this._complete(
+          pcb,
+          () => {
+            if (!sig) throw new KernelError("EINVAL", String(syscall.signal));
+            const group = targetPid < 0;
+            const targets = this.processes.filter(
+              (p) =>
+                (group ? p.pgid === -targetPid : p.pid === targetPid) &&
+                this._isAlive(p)
+            );
+            if (targets.length === 0) {
+              throw new KernelError("ESRCH", String(targetPid));
+            }
+            const allowed = targets.filter((p) => this._maySignal(pcb, p));
+            if (allowed.length === 0) {
+              throw new KernelError("EPERM", String(targetPid));
+            }
+            this._log(
+              pcb.pid,
+              `Sending ${sig} to ${group ? `pgid=${-targetPid}` : `pid=${targetPid}`}`
+            );
+            // signalling itself may stop or kill the caller
+            for (const p of allowed) this._postSignal(p, sig);
+            return true;
+          },
+          false
+        );
+        break;
+      }
+
+      case "SIGNAL": {
+        const sig = normalizeSignal(syscall.signal);
+        const ok = !!sig && !UNCATCHABLE_SIGNALS.has(sig);
+        if (ok) {
+          if (syscall.handler == null || syscall.handler === "default") {
+            delete pcb.signalHandlers[sig];
+          } else {
+            pcb.signalHandlers[sig] = syscall.handler;
+          }
+        }
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = ok;
+        break;
+      }
+
+      default: {
+        this._log(pcb.pid, `Unknown syscall: ${String(syscall.type)}`, { level: "warn" });
+        pcb.state = ProcessState.READY;
+        pcb.blockReason = null;
+        pcb.nextValue = null;
+        break;
+      }
+    }
+
+    this._checkTimers();
+  }
+
+  // Run a syscall body that may throw KernelError: its return value goes
+  // back to the process, a KernelError becomes errno + `failValue`.
+  _complete(pcb, fn, failValue = null) {
+    pcb.state = ProcessState.READY;
+    pcb.blockReason = null;
+    try {
+      pcb.nextValue = fn();
+    } catch (err) {
+      if (!(err instanceof KernelError)) throw err;
+      pcb.errno = err.code;
+      pcb.nextValue = failValue;
+    }
+  }
+
+  // Virtual-time deadline for an optional timeout (null = wait forever).
+  _deadline(timeoutMs) {
+    return timeoutMs == null ? null : this.timeMs + Math.max(0, timeoutMs);
+  }
+
+  // Wake blocked processes whose deadline has passed: sleeps resume with
+  // true, timed-out receives with null, polls with their due timers (or []).
+  _checkTimers() {
+    for (const p of this.processes) {
+      const w = p.waitingFor;
+      if (p.state !== ProcessState.BLOCKED || !w) continue;
+
+      if (w.type === "POLL") {
+        const timers = w.sources.filter(
+          (s) => s.type === "timer" && this.timeMs >= s.until
+        );
+        if (timers.length > 0) {
+          this._wake(p, timers.map((s) => s.source));
+          continue;
+        }
+      }
+
+      if (w.until != null && this.timeMs >= w.until) {
+        const value = w.type === "SLEEP" ? true : w.type === "POLL" ? [] : null;
+        // null is also end of stream: tell them apart
+        if (w.type === "SOCK_RECV") p.errno = "ETIMEDOUT";
+        this._wake(p, value);
+      }
+    }
+  }
+
+  _log(pid, msg, { level = "info", facility = "kernel" } = {}) {
+    const entry = {
+      seq: ++this.logSeq,
+      time: this.now(),
+      timeMs: this.timeMs,
+      pid,
+      level,
+      facility,
+      msg,
+    };
+    this.logs.push(entry);
+    if (this.logs.length > LOG_RING_SIZE) {
+      this.logs.shift();
+    }
+    this._wakeLogReaders();
+  }
+
+  // Unknown levels and facilities are EINVAL.
+  _filterLogs({
+    pid = null,
+    level = null,
+    facility = null,
+    text = null,
+    since = 0,
+    limit = Infinity,
+  } = {}) {
+    const min = level == null ? 0 : LogLevels.indexOf(level);
+    if (min < 0) throw new KernelError("EINVAL", `log level ${level}`);
+    if (facility != null && !LogFacilities.includes(facility)) {
+      throw new KernelError("EINVAL", `log facility ${facility}`);
+    }
+    // seq numbers are consecutive, so `since` maps straight to an index
+    const first = this.logs.length > 0 ? this.logs[0].seq : 0;
+    const out = [];
+    for (let i = Math.max(0, since - first + 1); i < this.logs.length; i++) {
+      const e = this.logs[i];
+      if (pid != null && e.pid !== Number(pid)) continue;
+      if (LogLevels.indexOf(e.level) < min) continue;
+      if (facility != null && e.facility !== facility) continue;
+      if (text && !e.msg.includes(text)) continue;
+      out.push({ ...e });
+    }
+    return out.length > limit ? out.slice(-limit) : out;
+  }
+
+  _wakeLogReaders() {
+    for (const p of this.processes) {
+      if (p.state !== ProcessState.BLOCKED || p.waitingFor?.type !== "READ_LOG") continue;
+      const entries = this._filterLogs(p.waitingFor.filter);
+      if (entries.length > 0) this._wake(p, entries);
+    }
+  }
+
+  // ---------- VFS helpers ----------
+
+  // The VFS is a tree of nodes; directories keep their entries in a
+  // `children` map. All helpers take canonical absolute paths and throw
+  // KernelError on failure. Those that change the tree also take the
+  // acting process, whose permissions they check (null: the kernel).
+
+  // New nodes belong to `owner` (a PCB, root if null), rw-r--r-- for files
+  // and rwxr-xr-x for directories.
+  _makeNode(type, content = "", owner = null) {
+    const now = this.now();
+    const node = {
+      type,
+      createdAt: now,
+      updatedAt: now,
+      uid: owner ? owner.uid : 0,
+      gid: owner ? owner.gid : 0,
+      mode: type === "dir" ? 0o755 : 0o644,
+    };
+    if (type === "dir") node.children = new Map();
+    else node.content = content;
+    return node;
+  }
+
+  _resolve(pcb, path) {
+    return normalizePath(path ?? "", pcb.cwd);
+  }
+
+  _lookup(path) {
+    let node = this.vfs;
+    for (const part of normalizePath(path).split("/").filter(Boolean)) {
+      if (node.type !== "dir") return null;
+      node = node.children.get(part);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  _lookupOrFail(path) {
+    const node = this._lookup(path);
+    if (!node) throw new KernelError("ENOENT", path);
+    return node;
+  }
+
+  // Parent directory node and entry name for `path`.
+  _lookupParent(path) {
+    const { dir, name } = splitPath(path);
+    if (!name) throw new KernelError("EINVAL", path);
+    const parent = this._lookupOrFail(dir);
+    if (parent.type !== "dir") throw new KernelError("ENOTDIR", dir);
+    return { parent, name };
+  }
+
+  // rwx check of `node` for the acting process. Root passes everything
+  // except executing a file that has no x bit at all.
+  _checkAccess(pcb, node, want, path) {
+    if (!pcb) return;
+    if (pcb.uid === 0) {
+      const noExec = node.type === "file" && !(node.mode & 0o111);
+      if (want & Access.X_OK && noExec) throw new KernelError("EACCES", path);
+      return;
+    }
+    const shift = pcb.uid === node.uid ? 6 : pcb.gid === node.gid ? 3 : 0;
+    if (((node.mode >> shift) & want) !== want) {
+      throw new KernelError("EACCES", path);
+    }
+  }
+
+  // Adding or removing entries needs w and x on the directory; in a sticky
+  // one only the entry's owner (or the directory's) may remove it.
+  _checkDirWrite(pcb, dir, path, entry = null) {
+    this._checkAccess(pcb, dir, Access.W_OK | Access.X_OK, path);
+    if (!pcb || pcb.uid === 0 || !entry || !(dir.mode & S_ISVTX)) return;
+    if (entry.uid !== pcb.uid && dir.uid !== pcb.uid) {
+      throw new KernelError("EPERM", path);
+    }
+  }
+
+  _writeFile(path, content, pcb = null) {
+    const { parent, name } = this._lookupParent(path);
+    let node = parent.children.get(name);
+    if (node && node.type === "dir") throw new KernelError("EISDIR", path);
+    if (node) this._checkAccess(pcb, node, Access.W_OK, path);
+    else this._checkDirWrite(pcb, parent, path);
+    const data = fileContent(content);
+    this._checkSpace(pcb, node, byteSize(data));
+    if (!node) {
+      node = this._makeNode("file", "", pcb);
+      parent.children.set(name, node);
+      parent.updatedAt = node.createdAt;
+    }
+    node.content = data;
+    node.updatedAt = this.now();
+    this._markDirty(path, pcb);
+  }
+
+  _unlinkFile(path, pcb = null) {
+    const { parent, name } = this._lookupParent(path);
+    const node = parent.children.get(name);
+    if (!node) throw new KernelError("ENOENT", path);
+    if (node.type === "dir") throw new KernelError("EISDIR", path);
+    this._checkDirWrite(pcb, parent, path, node);
+    parent.children.delete(name);
+    parent.updatedAt = this.now();
+    this._markDirty(path, pcb);
+  }
+
+  _mkdir(path, { recursive = false } = {}, pcb = null) {
+    if (recursive) {
+      const parts = normalizePath(path).split("/").filter(Boolean);
+      let current = "";
+      for (const part of parts) {
+        current += `/${part}`;
+        const node = this._lookup(current);
+        if (!node) this._mkdir(current, {}, pcb);
+        else if (node.type !== "dir") throw new KernelError("ENOTDIR", current);
+      }
+      return;
+    }
+    const { parent, name } = this._lookupParent(path);
+    if (parent.children.has(name)) throw new KernelError("EEXIST", path);
+    this._checkDirWrite(pcb, parent, path);
+    const node = this._makeNode("dir", "", pcb);
+    parent.children.set(name, node);
+    parent.updatedAt = node.createdAt;
+    this._markDirty(path, pcb);
+  }
+
+  _rmdir(path, pcb = null) {
+    if (normalizePath(path) === "/") throw new KernelError("EBUSY", path);
+    const { parent, name } = this._lookupParent(path);
+    const node = parent.children.get(name);
+    if (!node) throw new KernelError("ENOENT", path);
+    if (node.type !== "dir") throw new KernelError("ENOTDIR", path);
+    if (node.children.size > 0) throw new KernelError("ENOTEMPTY", path);
+    this._checkDirWrite(pcb, parent, path, node);
+    parent.children.delete(name);
+    parent.updatedAt = this.now();
+    this._markDirty(path, pcb);
+  }
+
+  // Size in bytes, remembered until the content changes.
+  _sizeOf(node) {
+    if (node.sizedContent !== node.content) {
+      const { content } = node;
+      node.size = byteSize(content);
+      node.sizedContent = content;
+    }
+    return node.size;
+  }
+
+  _readdir(path, pcb = null) {
+    const node = this._lookupOrFail(path);
+    if (node.type !== "dir") throw new KernelError("ENOTDIR", path);
+    this._checkAccess(pcb, node, Access.R_OK, path);
+    return [...node.children.entries()]
+      .map(([name, child]) => ({
+        name,
+        type: child.type,
+        size: child.type === "dir" ? child.children.size : this._sizeOf(child),
+        binary: isBinary(child.content),
+        uid: child.uid,
+        gid: child.gid,
+        mode: child.mode,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  _stat(path) {
+    const node = this._lookupOrFail(path);
+    return {
+      path: normalizePath(path),
+      type: node.type,
+      size: node.type === "dir" ? node.children.size : this._sizeOf(node),
+      binary: isBinary(node.content),
+      uid: node.uid,
+      gid: node.gid,
+      mode: node.mode,
+      createdAt: node.createdAt,
+      updatedAt: node.updatedAt,
+    };
+  }
+
+  _rename(from, to, pcb = null) {
+    if (from === "/" || to === "/") throw new KernelError("EBUSY", from);
+    if (to === from) return;
+    if (to.startsWith(`${from}/`)) throw new KernelError("EINVAL", to);
+    const src = this._lookupParent(from);
+    const node = src.parent.children.get(src.name);
+    if (!node) throw new KernelError("ENOENT", from);
+    const dst = this._lookupParent(to);
+    const existing = dst.parent.children.get(dst.name);
+    this._checkDirWrite(pcb, src.parent, from, node);
+    this._checkDirWrite(pcb, dst.parent, to, existing);
+    if (existing) {
+      if (existing.type === "dir" && node.type !== "dir") {
+        throw new KernelError("EISDIR", to);
+      }
+      if (existing.type !== "dir" && node.type === "dir") {
+        throw new KernelError("ENOTDIR", to);
+      }
+      if (existing.type === "dir" && existing.children.size > 0) {
+        throw new KernelError("ENOTEMPTY", to);
+      }
+    }
+    this._markTree(from, node, pcb);
+    src.parent.children.delete(src.name);
+    dst.parent.children.set(dst.name, node);
+    const now = this.now();
+    src.parent.updatedAt = now;
+    dst.parent.updatedAt = now;
+    this._markTree(to, node, pcb);
+  }
+
+  // ---------- File descriptors ----------
+
+  _open(pcb, path, flags = "r") {
+    const bits = typeof flags === "string" ? OPEN_MODES[flags] : Number(flags);
+    if (bits === undefined || Number.isNaN(bits)) {
+      throw new KernelError("EINVAL", String(flags));
+    }
+    const access = bits & 3;
+    const writable =
+      access === OpenFlags.O_WRONLY || access === OpenFlags.O_RDWR;
+
+    const readable =
+      access === OpenFlags.O_RDONLY || access === OpenFlags.O_RDWR;
+
+    let node = this._lookup(path);
+    if (!node) {
+      if (!(bits & OpenFlags.O_CREAT)) throw new KernelError("ENOENT", path);
+      this._writeFile(path, "", pcb);
+      node = this._lookup(path);
+    } else if (node.type === "dir") {
+      throw new KernelError("EISDIR", path);
+    } else {
+      const want = (readable ? Access.R_OK : 0) | (writable ? Access.W_OK : 0);
+      this._checkAccess(pcb, node, want, path);
+      if (writable && bits & OpenFlags.O_TRUNC) this._writeFile(path, "", pcb);
+    }
+
+    const fd = this._allocFd(pcb);
+    this._installFd(pcb, fd, {
+      kind: "file",
+      node,
+      path,
+      readable,
+      writable,
+      append: !!(bits & OpenFlags.O_APPEND),
+      offset: 0,
+    });
+    return fd;
+  }
+
+  // Open file for `fd`, optionally checking it was opened for `mode`.
+  _fileFor(pcb, fd, mode = null) {
+    const file = pcb.fds.get(fd);
+    if (!file || (mode && !file[mode])) {
+      throw new KernelError("EBADF", String(fd));
+    }
+    return file;
+  }
+
+  _allocFd(pcb) {
+    let fd = FIRST_FD;
+    while (pcb.fds.has(fd)) fd++;
+    return fd;
+  }
+
+  // Open file descriptions come in five kinds: "file" (VFS node + offset),
+  // "pipe" (shared buffer), "socket" (see Sockets), "console" (kernel log)
+  // and "null". A description can sit behind several fds, in one or more
+  // processes; pipes count their readers and writers so EOF and EPIPE
+  // work, sockets their fds so they close with the last one.
+  _installFd(pcb, fd, desc) {
+    if (pcb.fds.has(fd)) this._closeFd(pcb, fd);
+    pcb.fds.set(fd, desc);
+    if (desc.kind === "pipe") {
+      if (desc.readable) desc.pipe.readers++;
+      if (desc.writable) desc.pipe.writers++;
+    } else if (desc.kind === "socket") {
+      desc.socket.refs++;
+    }
+  }
+
+  _closeFd(pcb, fd) {
+    const desc = pcb.fds.get(fd);
+    if (!desc) return;
+    pcb.fds.delete(fd);
+    if (desc.kind === "socket" && --desc.socket.refs === 0) this._closeSocket(desc.socket);
+    if (desc.kind !== "pipe") return;
+    if (desc.readable) desc.pipe.readers--;
+    if (desc.writable) desc.pipe.writers--;
+    // last writer gone: blocked readers get EOF
+    if (desc.writable && desc.pipe.writers === 0) {
+      this._wakePipeReaders(desc.pipe);
+    }
+  }
+
+  // Children share the parent's stdin/stdout/stderr unless `stdio` maps
+  // them to other parent fds ([in, out, err], null = /dev/null). Processes
+  // without a parent get the kernel console, whose output lands in the log.
+  _setupStdio(pcb, parent, stdio = []) {
+    for (let fd = 0; fd < 3; fd++) {
+      const want = stdio[fd];
+      let desc;
+      if (want === null) {
+        desc = { kind: "null", readable: true, writable: true };
+      } else if (parent) {
+        desc = parent.fds.get(want === undefined ? fd : want) || {
+          kind: "null",
+          readable: true,
+          writable: true,
+        };
+      } else {
+        desc = {
+          kind: "console",
+          stream: STDIO_NAMES[fd],
+          readable: fd === 0,
+          writable: fd !== 0,
+        };
+      }
+      this._installFd(pcb, fd, desc);
+    }
+  }
+
+  // READ returns up to `count` bytes of a file or chars of a pipe ("" at
+  // EOF), READ_LINE one line without its newline (null at EOF). An empty
+  // pipe with writers left blocks the reader.
+  _fdRead(pcb, syscall) {
+    const desc = this._fileFor(pcb, syscall.fd, "readable");
+    const line = syscall.type === "READ_LINE";
+    if (desc.kind === "socket") throw new KernelError("EOPNOTSUPP", "use recv()");
+    if (desc.kind !== "file" && desc.kind !== "pipe") return line ? null : "";
+
+    // file offsets are in bytes, as stat() sizes are; binary files read
+    // as Uint8Array, text files and lines as text
+    const content = desc.kind === "file" ? desc.node.content : null;
+    const text = content !== null ? toBytes(content) : desc.pipe.buffer;
+    const start = desc.kind === "file" ? desc.offset : 0;
+    const open = desc.kind === "pipe" && desc.pipe.writers > 0;
+
+    let end;
+    let value;
+    if (line) {
+      const nl = text.indexOf(isBinary(text) ? 0x0a : "\n", start);
+      if (nl === -1 && open) return this._blockOnPipe(pcb, desc.pipe);
+      if (nl === -1 && start >= text.length) return null;
+      end = nl === -1 ? text.length : nl + 1;
+      value = toText(text.slice(start, nl === -1 ? end : nl));
+    } else {
+      if (start >= text.length && open) return this._blockOnPipe(pcb, desc.pipe);
+      end =
+        syscall.count == null
+          ? text.length
+          : Math.min(text.length, start + Math.max(0, syscall.count));
+      value = text.slice(start, end);
+    }
+
+    if (desc.kind === "file") desc.offset = end;
+    else desc.pipe.buffer = text.slice(end);
+    if (content !== null && !isBinary(content)) return toText(value);
+    // end of file is "" for binary files too, so read loops stop
+    return isBinary(value) && value.length === 0 ? "" : value;
+  }
+
+  _blockOnPipe(pcb, pipe) {
+    pcb.state = ProcessState.BLOCKED;
+    pcb.blockReason = "read";
+    pcb.waitingFor = { type: "READ", pipe };
+    return undefined;
+  }
+
+  _wakePipeReaders(pipe) {
+    for (const p of this.processes) {
+      this._wakePoller(p);
+      if (
+        p.state === ProcessState.BLOCKED &&
+        p.waitingFor &&
+        p.waitingFor.type === "READ" &&
+        p.waitingFor.pipe === pipe
+      ) {
+        this._restartSyscall(p, {
+          syscall: p.lastSyscall,
+          waitingFor: p.waitingFor,
+        });
+      }
+    }
+  }
+
+  // Pipes and the console carry text (bytes are decoded as UTF-8); files
+  // take both, at byte offsets, and turn binary once bytes are written to
+  // them. Returns the bytes written to a file, the chars sent elsewhere.
+  _fdWrite(pcb, fd, raw) {
+    const desc = this._fileFor(pcb, fd, "writable");
+    if (desc.kind === "socket") throw new KernelError("EOPNOTSUPP", "use send()");
+    const data = fileContent(raw);
+
+    if (desc.kind === "pipe") {
+      if (desc.pipe.readers === 0) throw new KernelError("EPIPE");
+      desc.pipe.buffer += toText(data);
+      this._wakePipeReaders(desc.pipe);
+    } else if (desc.kind === "console") {
+      if (desc.capture) desc.capture[desc.stream] += toText(data);
+      for (const line of toText(data).replace(/\n$/, "").split("\n")) {
+        this._log(pcb.pid, `[${desc.stream}] ${line}`, {
+          level: desc.stream === "stderr" ? "warn" : "info",
+          facility: "user",
+        });
+      }
+    } else if (desc.kind === "file") {
+      const binary = isBinary(data) || isBinary(desc.node.content);
+      const bytes = toBytes(desc.node.content);
+      const chunk = toBytes(data);
+      if (desc.append) desc.offset = bytes.length;
+      // a gap past the end reads back as zero bytes
+      const out = new Uint8Array(Math.max(bytes.length, desc.offset + chunk.length));
+      this._checkSpace(pcb, desc.node, out.length);
+      out.set(bytes);
+      out.set(chunk, desc.offset);
+      desc.node.content = binary ? out : toText(out);
+      desc.node.updatedAt = this.now();
+      desc.offset += chunk.length;
+      pcb.acct.vfsBytes += chunk.length;
+      this._markDirty(desc.path, pcb);
+      return chunk.length;
+    }
+    return data.length;
+  }
+
+  // ---------- Users ----------
+
+  // passwd entry by name (or numeric uid), null if unknown.
+  _findUser(nameOrUid) {
+    const node = this._lookup("/etc/passwd");
+    const users = parsePasswd(node && node.type === "file" ? toText(node.content) : "");
+    return (
+      users.find((u) => u.name === nameOrUid || String(u.uid) === nameOrUid) ||
+      null
+    );
+  }
+
+  // An empty /etc/shadow field means no password.
+  _checkPassword(name, password) {
+    const node = this._lookup("/etc/shadow");
+    const text = node && node.type === "file" ? toText(node.content) : "";
+    const entry = parseDbLines(text).find(([user]) => user === name);
+    return !!entry && (entry[1] ?? "") === String(password ?? "");
+  }
+
+  // ---------- Persistence ----------
+
+  // Remember that `path` changed (pcb: who changed it) for the next flush.
+  _markDirty(path, pcb = null) {
+    if (!this.dirty.has(path)) this.dirty.set(path, new Set());
+    if (pcb) this.dirty.get(path).add(pcb.pid);
+  }
+
+  // A moved directory changes the path of everything below it.
+  _markTree(path, node, pcb) {
+    this._markDirty(path, pcb);
+    if (node.type !== "dir") return;
+    for (const [name, child] of node.children) {
+      this._markTree(`${path}/${name}`, child, pcb);
+    }
+  }
+
+  // What a backend stores for one VFS node.
+  _entryFor(path, node) {
+    const entry = {
+      path,
+      type: node.type,
+      uid: node.uid,
+      gid: node.gid,
+      mode: node.mode,
+      createdAt: node.createdAt,
+      updatedAt: node.updatedAt,
+    };
+    if (node.type === "file") entry.content = node.content;
+    return entry;
+  }
+
+  // `batch`: the dirty paths (with their writers) the flush saved. Backends
+  // apply a batch whole or not at all, so after a failure all of it is
+  // dirty again, together with whatever changed in the meantime.
+  _flushDone(batch, err) {
+    this.flushesInFlight--;
+    if (err) {
+      const code = storageError(err).code;
+      this._log(
+        0,
+        `storage: could not save ${batch.size} change(s): ${err.message ?? err}`,
+        { level: "error", facility: "vfs" }
+      );
+      for (const [path, pids] of batch) {
+        if (!this.dirty.has(path)) this.dirty.set(path, new Set());
+        for (const pid of pids) {
+          this.dirty.get(path).add(pid);
+          const pcb = this._findPcb(pid);
+          if (pcb && this._isAlive(pcb)) pcb.ioError ??= code;
+        }
+      }
+    }
+    if (this.flushesInFlight > 0) return;
+    for (const pcb of this.processes) {
+      if (pcb.state === ProcessState.BLOCKED && pcb.waitingFor?.type === "FSYNC") {
+        this._finishFsync(pcb);
+      }
+    }
+  }
+
+  _finishFsync(pcb) {
+    const error = pcb.ioError;
+    pcb.ioError = null;
+    if (error) pcb.errno = error;
+    this._wake(pcb, !error);
+  }
+
+  // Stored entries first, then whatever the base layout is missing (all
+  // of it on first boot) and the /bin stubs of registered programs.
+  _initVfs(entries) {
+    this.vfs = this._makeNode("dir");
+    this._restoreVfs(entries || []);
+    for (const [dir, [mode, owner]] of Object.entries(BASE_DIRS)) {
+      if (this._lookup(dir)) continue;
+      this._mkdir(dir);
+      Object.assign(this._lookup(dir), { mode, uid: owner, gid: owner });
+    }
+    const files = {
+      "/etc/motd": [0o644, "Benvenuto nel mini-kernel in JS!"],
+      "/etc/rc": [0o755, DEFAULT_RC],
+      ...DEFAULT_USER_FILES,
+    };
+    for (const [path, [mode, text]] of Object.entries(files)) {
+      if (this._lookup(path)) continue;
+      this._writeFile(path, text);
+      this._lookup(path).mode = mode;
+    }
+    for (const name of this.programRegistry.keys()) this._writeStub(name);
+    if (this.recording) this.recording.vfs = this._snapshotVfs();
+  }
+
+  _restoreVfs(entries) {
+    // parents before children
+    const sorted = [...entries].sort(
+      (a, b) => a.path.split("/").length - b.path.split("/").length
+    );
+    for (const meta of sorted) {
+      const path = normalizePath(meta.path);
+      if (path === "/" || this._lookup(path)) continue;
+      const { dir, name } = splitPath(path);
+      let parent = this.vfs;
+      for (const part of dir.split("/").filter(Boolean)) {
+        if (!parent.children.has(part)) {
+          parent.children.set(part, this._makeNode("dir"));
+        }
+        parent = parent.children.get(part);
+      }
+      if (parent.type !== "dir") continue;
+      const node = this._makeNode(
+        meta.type === "dir" ? "dir" : "file",
+        meta.content || ""
+      );
+      node.createdAt = meta.createdAt || this.now();
+      node.updatedAt = meta.updatedAt || meta.createdAt || this.now();
+      // saved before permissions existed: root's, executables keep "x"
+      node.uid = meta.uid ?? 0;
+      node.gid = meta.gid ?? 0;
+      const executable =
+        node.type === "dir" ||
+        (!isBinary(node.content) && node.content.startsWith("#!"));
+      node.mode = meta.mode ?? (executable ? 0o755 : 0o644);
+      parent.children.set(name, node);
+    }
+  }
+
+  // ---------- Syscall tracing (strace) ----------
+
+  // A traced process keeps its last TRACE_RING_SIZE syscalls: type,
+  // summarized arguments, the state the call left it in and, once it
+  // resumes, the value it got (and errno on failure).
+
+  _traceTarget(pcb, rawPid) {
+    const target = this._findPcb(Number(rawPid));
+    if (!target) throw new KernelError("ESRCH", String(rawPid));
+    if (target === pcb) throw new KernelError("EINVAL", "cannot trace itself");
+    if (!this._maySignal(pcb, target)) throw new KernelError("EPERM", String(rawPid));
+    return target;
+  }
+
+  _attachTracer(pcb, tracerPid) {
+    pcb.strace ??= { tracers: new Set(), entries: [], seq: 0, current: null };
+    pcb.strace.tracers.add(tracerPid);
+  }
+
+  // The entries stay readable until the last tracer is gone.
+  _detachTracer(pcb, tracerPid) {
+    if (!pcb.strace) return;
+    pcb.strace.tracers.delete(tracerPid);
+    if (pcb.strace.tracers.size === 0) pcb.strace = null;
+  }
+
+  _straceCall(pcb, syscall) {
+    const { type, ...args } = syscall;
+    const entry = {
+      seq: ++pcb.strace.seq,
+      timeMs: this.timeMs,
+      type: String(type),
+      args: summarizeValue(args),
+      done: false,
+    };
+    pcb.strace.entries.push(entry);
+    if (pcb.strace.entries.length > TRACE_RING_SIZE) pcb.strace.entries.shift();
+    pcb.strace.current = entry;
+    return entry;
+  }
+
+  _straceResult(pcb, value) {
+    const entry = pcb.strace.current;
+    pcb.strace.current = null;
+    entry.done = true;
+    entry.result = summarizeValue(value);
+    entry.durationMs = this.timeMs - entry.timeMs;
+    if (value == null || value === false) entry.errno = pcb.errno;
+    this._wakeTracers(pcb);
+  }
+
+  // Finished entries after `since`; all of them once the process is gone
+  // (its exit never returns).
+  _traceRead(pcb, since) {
+    const alive = this._isAlive(pcb);
+    const entries = (pcb.strace?.entries ?? [])
+      .filter((e) => e.seq > since && (e.done || !alive))
+      .map((e) => ({ ...e }));
+    return { entries, alive, exitCode: alive ? null : pcb.exitCode };
+  }
+
+  _wakeTracers(pcb) {
+    for (const p of this.processes) {
+      const w = p.waitingFor;
+      if (p.state !== ProcessState.BLOCKED || w?.type !== "TRACE_READ" || w.pid !== pcb.pid) {
+        continue;
+      }
+      const res = this._traceRead(pcb, w.since);
+      if (res.entries.length > 0 || !res.alive) this._wake(p, res);
+    }
+  }
+
+  // ---------- Record and replay ----------
+
+  // Host calls are recorded with the number of ticks run before them, so
+  // a replay can make them at the same point.
+  _recordInput(kind, data = {}) {
+    if (!this.recording) return;
+    this.recording.inputs.push({ tick: this.tickCount, kind, ...recordValue(data) });
+  }
+
+  // A syscall is recorded when it is made; its result when the process
+  // resumes with it (which, for blocking calls, can be many ticks later).
+  _recordCall(pcb, syscall) {
+    const event = { tick: this.tickCount, pid: pcb.pid, call: recordValue(syscall) };
+    this.recording.events.push(event);
+    pcb.recordEvent = event;
+  }
+
+  _recordResult(pcb, value) {
+    const event = pcb.recordEvent;
+    pcb.recordEvent = null;
+    event.result = recordValue(value);
+    if (value == null || value === false) event.errno = pcb.errno;
+  }
+
+  _snapshotVfs() {
+    const entries = [];
+    const visit = (dir, dirPath) => {
+      for (const [name, node] of dir.children) {
+        const path = dirPath === "/" ? `/${name}` : `${dirPath}/${name}`;
+        entries.push(encodeEntry(this._entryFor(path, node)));
+        if (node.type === "dir") visit(node, path);
+      }
+    };
+    visit(this.vfs, "/");
+    return entries;
+  }
+
+  _replayInput(input, programs) {
+    switch (input.kind) {
+      case "boot":
+        this.boot();
+        break;
+      case "spawn": {
+        const program = input.program ?? programs[input.name];
+        if (!program) {
+          throw new Error(`replay: no program given for host spawn of "${input.name}"`);
+        }
+        this.spawn(program, input.opts);
+        break;
+      }
+      case "signal":
+        this.signalForeground(input.signal);
+        break;
+      case "scheduler":
+        this.setScheduler(input.name, input.opts);
+        break;
+      case "cleanup":
+        this.cleanupTerminated();
+        break;
+      case "clearLogs":
+        this.clearLogs();
+        break;
+      case "trace":
+        this.trace(input.pid);
+        break;
+      case "untrace":
+        this.untrace(input.pid);
+        break;
+      case "network":
+        this._restoreNetwork(input);
+        break;
+      case "packet":
+        this.inbox.push({ deliverAt: input.deliverAt, packet: input.packet });
         break;
+      case "register":
+        if (!this.programRegistry.has(input.name)) {
+          throw new Error(`replay: setup must register program "${input.name}"`);
+        }
+        break;
+    }
+  }
+
+  // ---------- Syscall factory ----------
+
+  _createSyscalls(pcb) {
+    const kernel = this;
+    return {
+      *sleep(ms) {
+        return yield { type: "SLEEP", ms };
+      },
+      // opts: { level: "debug" | "info" | "warn" | "error",
+      //         facility: "kernel" | "sched" | "vfs" | "net" | "user" }
+      *log(message, opts = {}) {
+        return yield { type: "LOG", message, opts };
+      },
+      // entries of the kernel log, filtered like getLogs(); `wait: true`
+      // blocks until one matches (e.g. { since: lastSeq, wait: true })
+      *readLog(filter = {}) {
+        return yield { type: "READ_LOG", filter };
+      },
+      *getPid() {
+        return yield { type: "GET_PID" };
+      },
+      // ms since the epoch (virtual in deterministic mode)
+      *time() {
+        return yield { type: "TIME" };
+      },
+      // a number in [0, 1) from the kernel's seeded generator
+      *random() {
+        return yield { type: "RANDOM" };
+      },
+      *send(toPid, payload) {
+        return yield { type: "SEND", toPid, payload };
+      },
+      // With timeoutMs, resolves to null if nothing arrives in time
+      // (0 = just check).
+      *recv({ timeoutMs } = {}) {
+        return yield { type: "RECV", timeoutMs };
+      },
+      *listen(port) {
+        return yield { type: "LISTEN", port };
+      },
+      *unlisten(port) {
+        return yield { type: "UNLISTEN", port };
+      },
+      // file descriptor, or a port this process listens on
+      *close(fd) {
+        return yield { type: "CLOSE", fd };
+      },
+      // a stream socket (see socketHandle): bind(), listen() and accept()
+      // on the server's side, connect() on the client's
+      *socket() {
+        return socketHandle(yield { type: "SOCKET" });
+      },
+      // port: a local port, or "host:port" on the VirtualNetwork
+      *sendToPort(port, payload) {
+        return yield { type: "SEND_PORT", port, payload };
+      },
+      *recvFromPort(port, { timeoutMs } = {}) {
+        return yield { type: "RECV_PORT", port, timeoutMs };
+      },
+      // Wait until any source is ready and get back the ready ones; [] once
+      // timeoutMs expires. Nothing is consumed: follow up with recv() or
+      // recvFromPort().
+      *poll(sources, timeoutMs) {
+        return yield { type: "POLL", sources, timeoutMs };
+      },
+      // program: generator function, or a command name / path (see which)
+      // opts.args: arguments for the program
+      // opts.stdio: [in, out, err] fds of the caller for the child's 0-2
+      // opts.env: the child's environment (default: a copy of the caller's)
+      // opts.pgid: process group to join, 0 for a new one (default: caller's)
+      // opts.uid / opts.gid: run as another user (root only)
+      // opts.trace: strace the child from its first syscall
+      *spawn(program, opts = {}) {
+        return yield { type: "SPAWN", program, opts };
+      },
+      // strace another process: traceAttach(pid) returns the seq to read
+      // from, traceRead(pid, { since, wait }) { entries, alive, exitCode }
+      // (see formatSyscallEntry)
+      *traceAttach(pid) {
+        return yield { type: "TRACE_ATTACH", pid };
+      },
+      *traceRead(pid, opts = {}) {
+        return yield { type: "TRACE_READ", pid, opts };
+      },
+      *traceDetach(pid) {
+        return yield { type: "TRACE_DETACH", pid };
+      },
+      // { name, path, priority, daemon } of what a command name would run
+      *which(cmd) {
+        return yield { type: "WHICH", cmd };
+      },
+      *exit(code = 0) {
+        return yield { type: "EXIT", code };
+      },
+      *getPpid() {
+        return yield { type: "GET_PPID" };
+      },
+      // Both resolve to { pid, name, exitCode } or null when there is no
+      // matching child (or, with noHang, none has exited yet).
+      // untraced: also return children that stopped, as { stopped: true }
+      *wait({ noHang = false, untraced = false } = {}) {
+        return yield { type: "WAIT", pid: -1, noHang, untraced };
+      },
+      *waitpid(pid, { noHang = false, untraced = false } = {}) {
+        return yield { type: "WAIT", pid: Number(pid), noHang, untraced };
+      },
+      *getPgid() {
+        return yield { type: "GET_PGID" };
+      },
+      *getuid() {
+        return yield { type: "GET_UID" };
+      },
+      *getgid() {
+        return yield { type: "GET_GID" };
+      },
+      // switch this process to another user (password needed unless root);
+      // resolves to the user's passwd entry
+      *login(name, password) {
+        return yield { type: "LOGIN", name, password };
+      },
+      // hand the terminal (Ctrl+C / Ctrl+Z) to a process group; EPERM
+      // unless the caller holds it (see _setForeground)
+      *setForeground(pgid) {
+        return yield { type: "SET_FOREGROUND", pgid };
+      },
+      *ps() {
+        return yield { type: "PS" };
+      },
+      // round trip to a host in ms (0 for this one), null on timeout
+      *ping(host, { timeoutMs = 1000 } = {}) {
+        return yield { type: "PING", host, timeoutMs };
+      },
+      // { address, hostname, stats, links } or null (see Kernel.getNetInfo)
+      *netInfo() {
+        return yield { type: "NET_INFO" };
+      },
+      // kernel-wide totals (see Kernel.getStats)
+      *stats() {
+        return yield { type: "STATS" };
+      },
+      // { maxProcesses, maxVfsBytes, queueFull, and this process's
+      // maxChildren, maxQueue, maxFileBytes, maxSteps }; null: unlimited
+      *getLimits() {
+        return yield { type: "GET_LIMITS" };
+      },
+      *listFiles() {
+        return yield { type: "LIST_FILES" };
+      },
+      // a string, or a Uint8Array with { encoding: null }
+      *readFile(path, { encoding = "utf8" } = {}) {
+        return yield { type: "READ_FILE", path, encoding };
+      },
+      // text, or binary data (Uint8Array / ArrayBuffer); resolves to the
+      // size in bytes
+      *writeFile(path, data) {
+        return yield { type: "WRITE_FILE", path, text: data };
+      },
+      *unlink(path) {
+        return yield { type: "UNLINK", path };
+      },
+      *mkdir(path, opts = {}) {
+        return yield { type: "MKDIR", path, opts };
+      },
+      *rmdir(path) {
+        return yield { type: "RMDIR", path };
+      },
+      *readdir(path = ".") {
+        return yield { type: "READDIR", path };
+      },
+      *stat(path) {
+        return yield { type: "STAT", path };
+      },
+      *rename(from, to) {
+        return yield { type: "RENAME", from, to };
+      },
+      // mode: permission bits, e.g. 0o644
+      *chmod(path, mode) {
+        return yield { type: "CHMOD", path, mode };
+      },
+      // null keeps the current owner / group
+      *chown(path, uid, gid = null) {
+        return yield { type: "CHOWN", path, uid, gid };
+      },
+      *chdir(path) {
+        return yield { type: "CHDIR", path };
+      },
+      // VFS changes are saved in batches; this waits for them and reports
+      // a failed save (ENOSPC, EIO)
+      *fsync() {
+        return yield { type: "FSYNC" };
+      },
+      // flags: OpenFlags bits or "r" | "r+" | "w" | "w+" | "a" | "a+"
+      *open(path, flags = "r") {
+        return yield { type: "OPEN", path, flags };
+      },
+      // up to `count` bytes from the current offset, as text ("" at end of
+      // file), or as a Uint8Array for binary files; chars from a pipe
+      *read(fd, count) {
+        return yield { type: "READ", fd, count };
+      },
+      *write(fd, data) {
+        return yield { type: "WRITE", fd, data };
+      },
+      // offsets in bytes; whence: "SET" | "CUR" | "END" (or 0 / 1 / 2)
+      *seek(fd, offset, whence = "SET") {
+        return yield { type: "SEEK", fd, offset, whence };
+      },
+      // [readFd, writeFd]
+      *pipe() {
+        return yield { type: "PIPE" };
+      },
+      // one line from stdin (or `fd`), null at end of input
+      *readLine(fd = 0) {
+        return yield { type: "READ_LINE", fd };
+      },
+      *print(...parts) {
+        return yield { type: "WRITE", fd: 1, data: parts.join(" ") + "\n" };
+      },
+      *printErr(...parts) {
+        return yield { type: "WRITE", fd: 2, data: parts.join(" ") + "\n" };
+      },
+      *getcwd() {
+        return yield { type: "GETCWD" };
+      },
+      // one variable, or a copy of the whole environment without `name`
+      *getenv(name) {
+        return yield { type: "GETENV", name };
+      },
+      *setenv(name, value) {
+        return yield { type: "SETENV", name, value };
+      },
+      *unsetenv(name) {
+        return yield { type: "SETENV", name, value: null };
+      },
+      // code of the last failed syscall (see Errno)
+      *errno() {
+        return yield { type: "GET_ERRNO" };
+      },
+      *listPorts() {
+        return yield { type: "LIST_PORTS" };
+      },
+      // a negative pid signals the whole process group
+      *kill(targetPid, signal = "TERM") {
+        return yield { type: "KILL", targetPid, signal };
+      },
+      // handler: generator function (may use syscalls), plain function,
+      // "ignore", or null to restore the default action
+      *signal(signal, handler) {
+        return yield { type: "SIGNAL", signal, handler };
+      },
+      *sched(policy, opts = {}) {
+        return yield { type: "SCHED", policy, opts };
+      },
+      // access to kernel for debug, if serve
+      get kernel() {
+        return kernel;
+      },
+    };
+  }
+}
+
+// ------------------ Scheduler policies ------------------
+
+// A policy decides which runnable PCB gets the next step. The kernel calls
+// admit() for every new process, onTick() once per tick, then pick() and
+// charge() for each step until the per-tick budget is spent.
+class SchedulerPolicy {
+  constructor(name, { budget = 16 } = {}) {
+    this.name = name;
+    this.budget = Math.max(1, Number(budget) || 1);
+  }
+
+  admit(pcb) {}
+
+  onTick(kernel) {}
+
+  pick(runnable) {
+    return null;
+  }
+
+  charge(pcb) {}
+
+  describe() {
+    return `${this.name} (budget=${this.budget})`;
+  }
+}
+
+// First candidate after `lastPid` in pid order, wrapping around.
+function nextAfter(candidates, lastPid) {
+  return candidates.find((p) => p.pid > (lastPid ?? 0)) || candidates[0];
+}
+
+// Round-robin: each process keeps the CPU for up to `timeSlice` steps,
+// priority is ignored.
+export class RoundRobinScheduler extends SchedulerPolicy {
+  constructor({ timeSlice = 2, ...opts } = {}) {
+    super("rr", opts);
+    this.timeSlice = Math.max(1, Number(timeSlice) || 1);
+    this.currentPid = null;
+    this.used = 0;
+  }
+
+  pick(runnable) {
+    if (runnable.length === 0) return null;
+    const current = runnable.find((p) => p.pid === this.currentPid);
+    if (current && this.used < this.timeSlice) return current;
+    const next = nextAfter(runnable, this.currentPid);
+    this.currentPid = next.pid;
+    this.used = 0;
+    return next;
+  }
+
+  charge(pcb) {
+    this.used++;
+    // blocking or exiting gives up the rest of the slice
+    if (pcb.state !== ProcessState.READY) this.used = this.timeSlice;
+  }
+
+  describe() {
+    return `rr (slice=${this.timeSlice}, budget=${this.budget})`;
+  }
+}
+
+// Strict priority: the highest priority runnable process always wins,
+// equal priorities take turns one step at a time.
+export class PriorityScheduler extends SchedulerPolicy {
+  constructor(opts = {}) {
+    super("prio", opts);
+    this.lastPid = null;
+  }
+
+  pick(runnable) {
+    if (runnable.length === 0) return null;
+    const top = Math.max(...runnable.map((p) => p.priority));
+    const next = nextAfter(
+      runnable.filter((p) => p.priority === top),
+      this.lastPid
+    );
+    this.lastPid = next.pid;
+    return next;
+  }
+}
+
+// Multi-level feedback queue: level 0 runs first. A process that burns its
+// whole slice is demoted, one that blocks keeps its level. Static priority
+// picks the starting level and every `boostTicks` ticks everyone goes back
+// to it, so demoted processes cannot starve.
+export class MlfqScheduler extends SchedulerPolicy {
+  constructor({ levels = 3, baseSlice = 1, boostTicks = 20, ...opts } = {}) {
+    super("mlfq", opts);
+    this.levels = Math.max(1, Number(levels) || 1);
+    this.baseSlice = Math.max(1, Number(baseSlice) || 1);
+    this.boostTicks = Math.max(0, Number(boostTicks) || 0);
+    this.ticks = 0;
+    this.lastPid = null;
+  }
+
+  sliceFor(level) {
+    return this.baseSlice * 2 ** level;
+  }
+
+  admit(pcb) {
+    const base = Math.min(
+      this.levels - 1,
+      Math.max(0, this.levels - (pcb.priority ?? 1))
+    );
+    pcb.sched = { baseLevel: base, level: base, used: 0 };
+  }
+
+  onTick(kernel) {
+    this.ticks++;
+    if (this.boostTicks && this.ticks % this.boostTicks === 0) {
+      for (const pcb of kernel.processes) {
+        pcb.sched.level = pcb.sched.baseLevel;
+        pcb.sched.used = 0;
+      }
+    }
+  }
+
+  pick(runnable) {
+    if (runnable.length === 0) return null;
+    const top = Math.min(...runnable.map((p) => p.sched.level));
+    const current = runnable.find((p) => p.pid === this.lastPid);
+    if (current && current.sched.level === top && current.sched.used > 0) {
+      return current;
+    }
+    const next = nextAfter(
+      runnable.filter((p) => p.sched.level === top),
+      this.lastPid
+    );
+    this.lastPid = next.pid;
+    return next;
+  }
+
+  charge(pcb) {
+    const s = pcb.sched;
+    s.used++;
+    if (pcb.state !== ProcessState.READY) {
+      s.used = 0;
+    } else if (s.used >= this.sliceFor(s.level)) {
+      s.level = Math.min(s.level + 1, this.levels - 1);
+      s.used = 0;
+    }
+  }
+
+  describe() {
+    return `mlfq (levels=${this.levels}, boost=${this.boostTicks}, budget=${this.budget})`;
+  }
+}
+
+export const SCHEDULER_POLICIES = {
+  rr: RoundRobinScheduler,
+  prio: PriorityScheduler,
+  mlfq: MlfqScheduler,
+};
+
+export function createScheduler(name, opts = {}) {
+  const Policy = SCHEDULER_POLICIES[name];
+  if (!Policy) throw new Error(`unknown scheduler policy "${name}"`);
+  return new Policy(opts);
+}
+
+// ------------------ Storage backends ------------------
+
+// Where the VFS is persisted. A backend stores entries keyed by path
+// ({ path, type, content?, uid, gid, mode, createdAt, updatedAt }):
+//   load()         all entries, or a promise of them
+//   apply(changes) [{ op: "put", entry } | { op: "delete", path }], in
+//                  order; may return a promise. Failing (throwing or
+//                  rejecting) reports ENOSPC / EIO to the writers, and
+//                  must leave the stored entries as they were: the
+//                  kernel applies the same changes again later. (A host
+//                  directory cannot take back files already written, but
+//                  applying the batch again puts them right.)
+// Binary content is a Uint8Array that the backend must not modify.
+
+// Binary content as base64 for backends that store JSON.
+function encodeEntry(entry) {
+  if (!isBinary(entry.content)) return entry;
+  return { ...entry, content: bytesToBase64(entry.content), encoding: "base64" };
+}
+
+function decodeEntry(entry) {
+  if (entry.encoding !== "base64") return entry;
+  const { encoding, ...rest } = entry;
+  return { ...rest, content: base64ToBytes(entry.content) };
+}
+
+// Quota and IO errors of the host, as a KernelError.
+function storageError(err) {
+  if (err instanceof KernelError) return err;
+  const full =
+    err?.name === "QuotaExceededError" || err?.code === "ENOSPC" || err?.code === 22;
+  return new KernelError(full ? "ENOSPC" : "EIO", err?.message ?? String(err));
+}
+
+// Nothing survives a reload. `quotaBytes` makes it fail like a full disk,
+// for trying out ENOSPC.
+export class MemoryStorage {
+  constructor({ quotaBytes = Infinity } = {}) {
+    this.entries = new Map();
+    this.quotaBytes = quotaBytes;
+  }
+
+  load() {
+    return [...this.entries.values()].map((e) => ({ ...e }));
+  }
+
+  apply(changes) {
+    const next = new Map(this.entries);
+    for (const change of changes) {
+      if (change.op === "put") next.set(change.entry.path, { ...change.entry });
+      // (contents are never modified in place, sharing them is safe)
+      else next.delete(change.path);
+    }
+    let used = 0;
+    for (const e of next.values()) used += e.content?.length ?? 0;
+    if (used > this.quotaBytes) {
+      throw new KernelError("ENOSPC", `${used} > ${this.quotaBytes} bytes`);
+    }
+    this.entries = next;
+  }
+}
+
+const LEGACY_VFS_KEY = "bvkernel_vfs";
+
+// localStorage (or any Web Storage), one key per path so a change only
+// rewrites the entries it touched.
+export class WebStorage {
+  constructor({ storage = globalThis.localStorage, prefix = "bvkernel_vfs:" } = {}) {
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  load() {
+    const entries = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key.startsWith(this.prefix)) continue;
+      try {
+        entries.push(decodeEntry(JSON.parse(this.storage.getItem(key))));
+      } catch {
+        // a damaged entry is lost, the rest still loads
+      }
+    }
+    // older versions kept the whole VFS under one key
+    const legacy = this.storage.getItem(LEGACY_VFS_KEY);
+    if (legacy && entries.length === 0) {
+      const old = Object.values(JSON.parse(legacy));
+      try {
+        this.apply(old.map((entry) => ({ op: "put", entry })));
+        this.storage.removeItem(LEGACY_VFS_KEY);
+      } catch {
+        // keep the old key until the new format fits
+      }
+      return old;
+    }
+    return entries;
+  }
+
+  // Keys written before a failure get their old values back.
+  apply(changes) {
+    const undo = [];
+    try {
+      for (const change of changes) {
+        const key = this.prefix + (change.op === "put" ? change.entry.path : change.path);
+        undo.push([key, this.storage.getItem(key)]);
+        if (change.op === "put") {
+          this.storage.setItem(key, JSON.stringify(encodeEntry(change.entry)));
+        } else {
+          this.storage.removeItem(key);
+        }
+      }
+    } catch (err) {
+      for (const [key, old] of undo.reverse()) {
+        if (old === null) this.storage.removeItem(key);
+        else this.storage.setItem(key, old);
+      }
+      throw storageError(err);
+    }
+  }
+}
+
+// IndexedDB: asynchronous, with a much larger quota than localStorage.
+// Each flush is one transaction; binary files are stored as they are.
+export class IndexedDbStorage {
+  constructor({
+    name = "bvkernel",
+    store = "vfs",
+    indexedDB = globalThis.indexedDB,
+  } = {}) {
+    this.name = name;
+    this.store = store;
+    this.idb = indexedDB;
+    this.db = null;
+  }
+
+  _open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const req = this.idb.open(this.name, 1);
+      req.onupgradeneeded = () =>
+        req.result.createObjectStore(this.store, { keyPath: "path" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(storageError(req.error));
+    });
+    return this.db;
+  }
+
+  async load() {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(this.store).objectStore(this.store).getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(storageError(req.error));
+    });
+  }
+
+  async apply(changes) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.store, "readwrite");
+      const store = tx.objectStore(this.store);
+      for (const change of changes) {
+        if (change.op === "put") store.put(change.entry);
+        else store.delete(change.path);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(storageError(tx.error));
+    });
+  }
+}
+
+// Headless (Node) persistence in one file: a journal with one JSON change
+// per line, appended on every flush and compacted when loaded.
+export class NodeFileStorage {
+  constructor(path) {
+    this.path = path;
+    this.fs = null;
+  }
+
+  async load() {
+    this.fs = await import("node:fs");
+    let text = "";
+    try {
+      text = this.fs.readFileSync(this.path, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw storageError(err);
+    }
+    const entries = new Map();
+    for (const line of text.split("\n")) {
+      let change;
+      try {
+        change = JSON.parse(line);
+      } catch {
+        continue; // blank, or a line cut short by a crash
+      }
+      if (change.op === "put") entries.set(change.entry.path, decodeEntry(change.entry));
+      else entries.delete(change.path);
+    }
+    const snapshot = [...entries.values()];
+    try {
+      const tmp = `${this.path}.tmp`;
+      const lines = snapshot.map((entry) => journalLine({ op: "put", entry }));
+      this.fs.writeFileSync(tmp, lines.join(""));
+      this.fs.renameSync(tmp, this.path);
+    } catch (err) {
+      throw storageError(err);
+    }
+    return snapshot;
+  }
+
+  // A batch cut short is cut off the journal again.
+  apply(changes) {
+    if (!this.fs) throw new KernelError("EIO", "storage not loaded");
+    const size = this.fs.statSync(this.path, { throwIfNoEntry: false })?.size ?? 0;
+    try {
+      this.fs.appendFileSync(this.path, changes.map(journalLine).join(""));
+    } catch (err) {
+      try {
+        this.fs.truncateSync(this.path, size);
+      } catch {
+        // load() skips a last line cut short anyway
+      }
+      throw storageError(err);
+    }
+  }
+}
+
+function journalLine(change) {
+  const line = change.op === "put" ? { ...change, entry: encodeEntry(change.entry) } : change;
+  return JSON.stringify(line) + "\n";
+}
+
+const DIR_META_FILE = ".vfs-meta.json";
+// Top-level names starting with it are the storage's own on the host;
+// guest entries with such a name get one more of it (see _hostPath).
+const DIR_RESERVED_PREFIX = ".vfs-";
+
+// A host directory mirroring the VFS (Node.js): files and directories are
+// stored as themselves under `dir`, so they can be read and edited from
+// outside; owners, modes, times and which files are binary are kept in
+// `dir/.vfs-meta.json`. Files put there from outside show up on the next
+// load as root's.
+export class NodeDirStorage {
+  constructor(dir) {
+    this.dir = dir.replace(/\/+$/, "") || "/";
+    this.meta = {}; // VFS path -> { type, uid, gid, mode, createdAt, updatedAt, binary }
+    this.fs = null;
+  }
+
+  async load() {
+    this.fs = await import("node:fs");
+    try {
+      this.fs.mkdirSync(this.dir, { recursive: true });
+      this.meta = JSON.parse(this.fs.readFileSync(this._metaPath(), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw storageError(err);
+    }
+    const entries = [];
+    const visit = (path) => {
+      for (const dirent of this.fs.readdirSync(this._hostPath(path), { withFileTypes: true })) {
+        let { name } = dirent;
+        if (path === "/" && name.startsWith(DIR_RESERVED_PREFIX)) {
+          if (name.startsWith(DIR_META_FILE)) continue; // the metadata (or its .tmp)
+          name = name.slice(DIR_RESERVED_PREFIX.length);
+        }
+        const child = path === "/" ? `/${name}` : `${path}/${name}`;
+        const meta = this.meta[child] ?? {};
+        const { binary, ...entry } = { ...meta, path: child };
+        if (dirent.isDirectory()) {
+          entries.push({ ...entry, type: "dir" });
+          visit(child);
+        } else if (dirent.isFile()) {
+          const data = this.fs.readFileSync(this._hostPath(child));
+          const content = binary ? new Uint8Array(data) : data.toString("utf8");
+          entries.push({ ...entry, type: "file", content });
+        }
+      }
+    };
+    try {
+      visit("/");
+    } catch (err) {
+      throw storageError(err);
+    }
+    return entries;
+  }
+
+  apply(changes) {
+    if (!this.fs) throw new KernelError("EIO", "storage not loaded");
+    const meta = { ...this.meta };
+    try {
+      for (const change of changes) {
+        if (change.op === "put") this._put(change.entry);
+        else this._delete(change.path);
+      }
+      const metaPath = this._metaPath();
+      this.fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(this.meta));
+      this.fs.renameSync(`${metaPath}.tmp`, metaPath);
+    } catch (err) {
+      this.meta = meta;
+      throw storageError(err);
+    }
+  }
+
+  // "/.vfs-meta.json" (a guest file) is "<dir>/.vfs-.vfs-meta.json" on
+  // the host, so it cannot overwrite the metadata.
+  _hostPath(path) {
+    if (path === "/") return this.dir;
+    const escaped = path.startsWith(`/${DIR_RESERVED_PREFIX}`)
+      ? `/${DIR_RESERVED_PREFIX}${path.slice(1)}`
+      : path;
+    return `${this.dir}${escaped}`;
+  }
+
+  _metaPath() {
+    return `${this.dir}/${DIR_META_FILE}`;
+  }
+
+  _put(entry) {
+    const { path, content, ...meta } = entry;
+    const host = this._hostPath(path);
+    const existing = this.fs.statSync(host, { throwIfNoEntry: false });
+    if (entry.type === "dir") {
+      if (existing && !existing.isDirectory()) this.fs.rmSync(host);
+      this.fs.mkdirSync(host, { recursive: true });
+    } else {
+      if (existing?.isDirectory()) this.fs.rmSync(host, { recursive: true });
+      this.fs.mkdirSync(this._hostPath(splitPath(path).dir), { recursive: true });
+      this.fs.writeFileSync(host, content);
+    }
+    this.meta[path] = { ...meta, binary: isBinary(content) };
+  }
+
+  _delete(path) {
+    this.fs.rmSync(this._hostPath(path), { recursive: true, force: true });
+    for (const key of Object.keys(this.meta)) {
+      if (key === path || key.startsWith(`${path}/`)) delete this.meta[key];
+    }
+  }
+}
+
+// localStorage in the browser, memory anywhere else.
+export function defaultStorage() {
+  return typeof localStorage !== "undefined" ? new WebStorage() : new MemoryStorage();
+}
+
+// ------------------ Virtual network ------------------
+
+// What a packet costs on the wire besides its (JSON) payload, as UDP/IPv4.
+const PACKET_HEADER_BYTES = 28;
+
+// Links several kernels, each attached with a host address (and
+// optionally a hostname), so that sys.sendToPort("host:port", payload)
+// and ping reach another machine. Every pair of hosts is joined by a link
+// with its own latency (ms), bandwidth (bytes per second of virtual time,
+// null: unlimited), loss (probability of dropping a packet) and up/down
+// state; packets are datagrams, so loss and partitions are silent. Delays
+// are counted from the sender's clock: a packet arrives when the
+// receiver's clock reaches its send time plus the delay, corrected by how
+// far apart the two clocks were when they attached. The clocks must then
+// keep in step, as they do when all kernels are ticked together (see
+// tick()).
+export class VirtualNetwork {
+  constructor({ latencyMs = 10, bandwidth = null, loss = 0, seed = 1 } = {}) {
+    this.defaults = { latencyMs, bandwidth, loss, up: true };
+    this.seed = seed >>> 0;
+    this.random = createRng(this.seed);
+    this.hosts = new Map(); // address -> { address, hostname, kernel, clockOffset }
+    this.links = new Map(); // "a|b" (sorted) -> link settings + busyUntil
+    this.dropped = 0; // lost or partitioned packets
+  }
+
+  // Attach `kernel` as `address` (default: the next free 10.0.0.x).
+  attach(kernel, { address = null, hostname = null } = {}) {
+    if (kernel.network) throw new Error(`kernel ${kernel.id} is already attached`);
+    if (address === null) {
+      let n = 1;
+      while (this.hosts.has(`10.0.0.${n}`)) n++;
+      address = `10.0.0.${n}`;
+    }
+    const taken = this.hosts.get(address);
+    if (taken?.kernel) throw new Error(`address ${address} is in use`);
+    // the network's clock is the first kernel's; the others are ahead of
+    // it by clockOffset
+    const ref = [...this.hosts.values()].find((h) => h.kernel);
+    const clockOffset = ref ? kernel.timeMs - (ref.kernel.timeMs - ref.clockOffset) : 0;
+    this.hosts.set(address, { address, hostname, kernel, clockOffset });
+    kernel.network = this;
+    kernel.address = address;
+    kernel.hostname = hostname;
+    this._changed();
+    return address;
+  }
+
+  detach(kernel) {
+    if (kernel.network !== this) return false;
+    this.hosts.delete(kernel.address);
+    kernel.network = null;
+    kernel.address = null;
+    kernel.hostname = null;
+    kernel.inbox = [];
+    kernel._netChanged();
+    this._changed();
+    return true;
+  }
+
+  // Address of a host given by address or hostname, or null.
+  resolve(host) {
+    if (this.hosts.has(host)) return host;
+    for (const h of this.hosts.values()) if (h.hostname === host) return h.address;
+    return null;
+  }
+
+  // Change the link between two hosts (both directions): any of
+  // { latencyMs, bandwidth, loss, up }.
+  setLink(a, b, settings) {
+    Object.assign(this._link(this._resolveOrFail(a), this._resolveOrFail(b)), settings);
+    this._changed();
+  }
+
+  // Cut every link between hosts of different groups (arrays of
+  // addresses or hostnames); hosts in no group are cut off from all.
+  partition(...groups) {
+    const groupOf = new Map();
+    groups.forEach((group, i) => {
+      for (const host of group) groupOf.set(this._resolveOrFail(host), i);
+    });
+    const addrs = [...this.hosts.keys()];
+    for (const a of addrs) {
+      for (const b of addrs) {
+        if (a >= b) continue;
+        const together = groupOf.has(a) && groupOf.get(a) === groupOf.get(b);
+        this._link(a, b).up = together;
+      }
+    }
+    this._changed();
+  }
+
+  // Bring every link back up.
+  heal() {
+    for (const link of this.links.values()) link.up = true;
+    this._changed();
+  }
+
+  // One tick of every attached kernel, in the order they were attached.
+  tick() {
+    for (const { kernel } of this.hosts.values()) kernel?.tick();
+  }
+
+  // The links from `address` to every other host.
+  getLinks(address) {
+    const out = [];
+    for (const h of this.hosts.values()) {
+      if (h.address === address) continue;
+      const { latencyMs, bandwidth, loss, up } = this._link(address, h.address);
+      out.push({ address: h.address, hostname: h.hostname, latencyMs, bandwidth, loss, up });
+    }
+    return out;
+  }
+
+  // Attached kernels record their view of the network whenever it
+  // changes, so that a replayed trace sees the same hosts and links.
+  _changed() {
+    for (const { kernel } of this.hosts.values()) kernel?._netChanged();
+  }
+
+  // Replay: the hosts and links `address` saw, with no kernels behind
+  // them (what they sent arrives as recorded packets).
+  _restoreLinks(address, links) {
+    for (const other of [...this.hosts.keys()]) {
+      if (other !== address) this.hosts.delete(other);
+    }
+    for (const { address: other, hostname, ...settings } of links) {
+      this.hosts.set(other, { address: other, hostname, kernel: null, clockOffset: 0 });
+      Object.assign(this._link(address, other), settings);
+    }
+  }
+
+  _resolveOrFail(host) {
+    const address = this.resolve(host);
+    if (!address) throw new Error(`unknown host ${host}`);
+    return address;
+  }
+
+  _link(a, b) {
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (!this.links.has(key)) this.links.set(key, { ...this.defaults, busyUntil: {} });
+    return this.links.get(key);
+  }
+
+  // Called by the sending kernel. Returns the packet's size in bytes;
+  // EHOSTUNREACH for an unknown host, EINVAL for a payload that cannot be
+  // copied to another machine (functions, ...).
+  _transmit(from, host, packet) {
+    const to = this.resolve(host);
+    if (!to) throw new KernelError("EHOSTUNREACH", host);
+    let copy;
+    try {
+      copy = structuredClone(packet);
+    } catch (err) {
+      throw new KernelError("EINVAL", `payload: ${err.message}`);
+    }
+    const size = PACKET_HEADER_BYTES + utf8Length(JSON.stringify(copy.payload ?? null) ?? "");
+    copy.size = size;
+
+    const link = this._link(from.address, to);
+    const { kernel: target, clockOffset } = this.hosts.get(to);
+    if (!link.up || this.random() < link.loss || !target) {
+      this.dropped++;
+      return size;
+    }
+    // one packet at a time on each direction of a link
+    let delay = link.latencyMs;
+    if (link.bandwidth) {
+      const start = Math.max(from.timeMs, link.busyUntil[to] ?? 0);
+      link.busyUntil[to] = start + (size * 1000) / link.bandwidth;
+      delay += link.busyUntil[to] - from.timeMs;
+    }
+    const skew = clockOffset - this.hosts.get(from.address).clockOffset;
+    target._netArrive(copy, from.timeMs + delay + skew);
+    return size;
+  }
+}
+
+
+// ------------------ Userland programs ------------------
+
+// Echo server on a virtual port: connections to its stream socket get
+// every record back as it is; messages to the message port of the same
+// number (sendToPort, e.g. from another host) get an ECHO_REPLY.
+export function* echoServer(sys, port = 8080) {
+  port = Number(port);
+  const server = yield* sys.socket();
+  const ok =
+    (yield* server.bind(port)) && (yield* server.listen()) && (yield* sys.listen(port));
+  if (!ok) {
+    yield* sys.log(`Echo server: port ${port} already in use`, {
+      level: "error",
+      facility: "net",
+    });
+    yield* sys.exit(1);
+    return;
+  }
+  const myPid = yield* sys.getPid();
+  const conns = [];
+  let served = 0;
+
+  function* shutdown(sig) {
+    yield* sys.log(
+      `Echo server: ${sig} received, shutting down after ${served} messages`,
+      { facility: "net" }
+    );
+    for (const conn of conns) yield* conn.close();
+    yield* server.close();
+    yield* sys.unlisten(port);
+    yield* sys.exit(0);
+  }
+  yield* sys.signal("SIGTERM", shutdown);
+  yield* sys.signal("SIGINT", shutdown);
+  yield* sys.signal("SIGHUP", function* () {
+    yield* sys.log(
+      `Echo server: port ${port}, ${served} messages served, ${conns.length} connections open`,
+      { facility: "net" }
+    );
+  });
+
+  yield* sys.log(`Echo server listening on port ${port}`, { facility: "net" });
+
+  function* answer(msg) {
+    const { fromPid, payload } = msg;
+    yield* sys.log(
+      `Echo server: from PID ${fromPid} -> ${JSON.stringify(payload)}`,
+      { level: "debug", facility: "net" }
+    );
+    const reply = {
+      type: "ECHO_REPLY",
+      text: payload && typeof payload.text === "string" ? payload.text : "[no text]",
+      from: myPid,
+    };
+    if (payload?.replyPort) {
+      const host = msg.fromHost ?? "localhost";
+      yield* sys.sendToPort(`${host}:${payload.replyPort}`, reply);
+    } else if (!msg.fromHost) {
+      // another host's pid means nothing here
+      yield* sys.send(fromPid, reply);
+    }
+  }
+
+  while (true) {
+    for (const source of yield* sys.poll([server, port, ...conns])) {
+      if (source === server) {
+        const conn = yield* server.accept({ timeoutMs: 0 });
+        if (conn) conns.push(conn);
+      } else if (source === port) {
+        const msg = yield* sys.recvFromPort(port, { timeoutMs: 0 });
+        if (!msg) continue;
+        served++;
+        yield* answer(msg);
+      } else {
+        // ready and nothing to read: the client hung up
+        const data = yield* source.recv({ timeoutMs: 0 });
+        if (data === null) {
+          yield* source.close();
+          conns.splice(conns.indexOf(source), 1);
+          continue;
+        }
+        served++;
+        yield* sys.log(`Echo server: on fd ${source.fd} -> ${JSON.stringify(data)}`, {
+          level: "debug",
+          facility: "net",
+        });
+        yield* source.send(data);
+      }
+    }
+  }
+}
+
+// Echo client: send a text to an echo server at [host:]port and print the
+// reply. One on this host is reached over a stream connection (tried a few
+// times while refused, as a server started just before may not be
+// listening yet), one on another host by message, answering on port
+// ECHO_REPLY_PORT_BASE + our pid.
+const ECHO_REPLY_PORT_BASE = 40000;
+const ECHO_CONNECT_TRIES = 5;
+
+export function* echoClient(sys, port = 8080, ...textParts) {
+  const text = textParts.join(" ") || "hello-from-client";
+  if (!String(port).includes(":")) {
+    const conn = yield* sys.socket();
+    let connected = false;
+    for (let i = 0; i < ECHO_CONNECT_TRIES && !connected; i++) {
+      if (i > 0) yield* sys.sleep(100);
+      connected = yield* conn.connect(Number(port));
+      if (!connected && (yield* sys.errno()) !== "ECONNREFUSED") break;
+    }
+    if (!connected) {
+      const code = yield* sys.errno();
+      yield* sys.printErr(`echo-client: ${port}: ${strerror(code)}`);
+      yield* sys.exit(1);
+      return;
+    }
+    yield* conn.send(text);
+    const reply = yield* conn.recv({ timeoutMs: 2000 });
+    yield* conn.close();
+    if (reply === null) {
+      yield* sys.printErr(`echo-client: no reply from port ${port}`);
+      yield* sys.exit(1);
+      return;
+    }
+    yield* sys.print(typeof reply === "string" ? reply : JSON.stringify(reply));
+    yield* sys.exit(0);
+    return;
+  }
+
+  const myPid = yield* sys.getPid();
+  const replyPort = ECHO_REPLY_PORT_BASE + myPid;
+  if (!(yield* sys.listen(replyPort))) {
+    yield* sys.printErr(`echo-client: port ${replyPort} already in use`);
+    yield* sys.exit(1);
+    return;
+  }
+  if (!(yield* sys.sendToPort(port, { text, from: myPid, replyPort }))) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`echo-client: ${port}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  const reply = yield* sys.recvFromPort(replyPort, { timeoutMs: 2000 });
+  if (!reply) {
+    yield* sys.printErr(`echo-client: no reply from port ${port} (timeout)`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.print(reply.payload?.text ?? JSON.stringify(reply.payload));
+  yield* sys.exit(0);
+}
+
+// ps: show process table
+export function* psProgram(sys) {
+  const table = yield* sys.ps();
+  for (const p of table) {
+    const indent = p.depth > 0 ? "  ".repeat(p.depth - 1) + "└─ " : "";
+    yield* sys.print(
+      `${indent}pid=${p.pid} ppid=${p.ppid} uid=${p.uid} name=${p.name} prio=${p.priority} state=${p.state} block=${p.blockReason || "-"}`
+    );
+  }
+  yield* sys.exit(0);
+}
+
+// User and group names by id, from /etc/passwd and /etc/group.
+function* userNames(sys) {
+  const users = parsePasswd(yield* sys.readFile("/etc/passwd"));
+  const groups = parseGroup(yield* sys.readFile("/etc/group"));
+  return {
+    user: (uid) => users.find((u) => u.uid === uid)?.name ?? String(uid),
+    group: (gid) => groups.find((g) => g.gid === gid)?.name ?? String(gid),
+  };
+}
+
+// ls [-l] [dir]: list virtual file system (-l: mode, owner, group)
+export function* lsProgram(sys, ...args) {
+  const long = args[0] === "-l";
+  const [path = "."] = long ? args.slice(1) : args;
+  const entries = yield* sys.readdir(path);
+  if (!entries) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`ls: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  const names = long ? yield* userNames(sys) : null;
+  for (const e of entries) {
+    if (long) {
+      const owner = `${names.user(e.uid)} ${names.group(e.gid)}`;
+      const name = e.type === "dir" ? `${e.name}/` : e.name;
+      yield* sys.print(
+        `${modeString(e.type, e.mode)} ${owner.padEnd(12)} ${String(e.size).padStart(6)} ${name}`
+      );
+      continue;
+    }
+    yield* sys.print(
+      e.type === "dir"
+        ? `${e.name}/ (${e.size} entries)`
+        : `${e.name} (${e.size} bytes)`
+    );
+  }
+  yield* sys.exit(0);
+}
+
+// netstat: list message ports and stream sockets' ports
+export function* netstatProgram(sys) {
+  const ports = yield* sys.listPorts();
+  for (const p of ports) {
+    const extra =
+      p.proto === "stream"
+        ? ` ${p.listening ? "listening" : "bound"} connections=${p.connections}`
+        : "";
+    yield* sys.print(
+      `port=${p.port} proto=${p.proto} ownerPid=${p.ownerPid} queue=${p.queueLength}${extra}`
+    );
+  }
+  yield* sys.exit(0);
+}
+
+// cat: print file contents, or copy stdin when no path is given
+export function* catProgram(sys, path) {
+  if (!path) {
+    let chunk;
+    while ((chunk = yield* sys.read(0))) yield* sys.write(1, chunk);
+    yield* sys.exit(0);
+    return;
+  }
+  const text = yield* sys.readFile(path);
+  if (text == null) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`cat: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.write(1, text);
+  yield* sys.exit(0);
+}
+
+// echo: print arguments
+export function* echoProgram(sys, ...args) {
+  yield* sys.print(args.join(" "));
+  yield* sys.exit(0);
+}
+
+// env: print the environment inherited from the parent
+export function* envProgram(sys) {
+  const env = yield* sys.getenv();
+  for (const name of Object.keys(env).sort()) {
+    yield* sys.print(`${name}=${env[name]}`);
+  }
+  yield* sys.exit(0);
+}
+
+// grep: print lines matching a pattern, from a file or stdin.
+// Exit code 0 if something matched, 1 if not, 2 on error.
+export function* grepProgram(sys, pattern, path) {
+  if (pattern === undefined) {
+    yield* sys.printErr("grep: usage: grep <pattern> [path]");
+    yield* sys.exit(2);
+    return;
+  }
+  let re;
+  try {
+    re = new RegExp(pattern);
+  } catch {
+    yield* sys.printErr(`grep: invalid pattern ${pattern}`);
+    yield* sys.exit(2);
+    return;
+  }
+  let fd = 0;
+  if (path) {
+    fd = yield* sys.open(path, "r");
+    if (fd == null) {
+      const code = yield* sys.errno();
+      yield* sys.printErr(`grep: ${path}: ${strerror(code)}`);
+      yield* sys.exit(2);
+      return;
+    }
+  }
+  let matched = false;
+  let line;
+  while ((line = yield* sys.readLine(fd)) !== null) {
+    if (re.test(line)) {
+      matched = true;
+      yield* sys.print(line);
+    }
+  }
+  if (path) yield* sys.close(fd);
+  yield* sys.exit(matched ? 0 : 1);
+}
+
+// echo-file: write arbitrary text to a file
+export function* echoFileProgram(sys, path, ...textParts) {
+  if (!path) {
+    yield* sys.printErr("echo-file: missing path");
+    yield* sys.exit(1);
+    return;
+  }
+  const text = textParts.join(" ");
+  const bytes = yield* sys.writeFile(path, text);
+  if (bytes == null || !(yield* sys.fsync())) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`echo-file: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.print(`echo-file: wrote ${bytes} bytes to ${path}`);
+  yield* sys.exit(0);
+}
+
+// rm: delete a file
+export function* rmProgram(sys, path) {
+  if (!path) {
+    yield* sys.printErr("rm: missing path");
+    yield* sys.exit(1);
+    return;
+  }
+  const ok = yield* sys.unlink(path);
+  if (ok) {
+    yield* sys.print(`rm: removed ${path}`);
+    yield* sys.exit(0);
+  } else {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`rm: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+  }
+}
+
+// pwd: print working directory
+export function* pwdProgram(sys) {
+  yield* sys.print(yield* sys.getcwd());
+  yield* sys.exit(0);
+}
+
+// mkdir: create a directory (-p creates missing parents)
+export function* mkdirProgram(sys, ...args) {
+  const recursive = args.includes("-p");
+  const paths = args.filter((a) => a !== "-p");
+  if (paths.length === 0) {
+    yield* sys.printErr("mkdir: missing path");
+    yield* sys.exit(1);
+    return;
+  }
+  let status = 0;
+  for (const path of paths) {
+    if (!(yield* sys.mkdir(path, { recursive }))) {
+      const code = yield* sys.errno();
+      yield* sys.printErr(`mkdir: ${path}: ${strerror(code)}`);
+      status = 1;
+    }
+  }
+  yield* sys.exit(status);
+}
+
+// rmdir: remove an empty directory
+export function* rmdirProgram(sys, path) {
+  if (!path) {
+    yield* sys.printErr("rmdir: missing path");
+    yield* sys.exit(1);
+    return;
+  }
+  if (!(yield* sys.rmdir(path))) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`rmdir: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.exit(0);
+}
+
+// mv: rename a file or directory
+export function* mvProgram(sys, from, to) {
+  if (!from || !to) {
+    yield* sys.printErr("mv: usage: mv <from> <to>");
+    yield* sys.exit(1);
+    return;
+  }
+  if (!(yield* sys.rename(from, to))) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`mv: ${from} -> ${to}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.exit(0);
+}
+
+// kill: send a signal to a process
+export function* killProgram(sys, targetPid, signal = "TERM") {
+  if (!targetPid && targetPid !== 0) {
+    yield* sys.printErr("kill: missing pid");
+    yield* sys.exit(1);
+    return;
+  }
+  if (!normalizeSignal(signal)) {
+    yield* sys.printErr(`kill: unknown signal ${signal}`);
+    yield* sys.exit(1);
+    return;
+  }
+  const ok = yield* sys.kill(Number(targetPid), signal);
+  if (!ok) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`kill: (${targetPid}) - ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.exit(0);
+}
+
+// sched: show or switch the scheduler policy
+export function* schedProgram(sys, policy, budget) {
+  if (!policy) {
+    const info = yield* sys.sched();
+    yield* sys.print(`sched: ${info.description}`);
+    yield* sys.print(`sched: available policies: ${info.available.join(", ")}`);
+    yield* sys.exit(0);
+    return;
+  }
+  const opts = budget ? { budget: Number(budget) } : {};
+  const info = yield* sys.sched(policy, opts);
+  if (!info) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(
+      code === "EPERM"
+        ? `sched: ${strerror(code)} (only root may switch policy)`
+        : `sched: unknown policy ${policy}`
+    );
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.print(`sched: now using ${info.description}`);
+  yield* sys.exit(0);
+}
+
+// help: list commands
+export function* helpProgram(sys) {
+  yield* sys.print("Available commands:");
+  yield* sys.print(
+    "  echo-client [host:]<port> <msg> - send message to a server"
+  );
+  yield* sys.print("  echo-server <port>          - start echo server on port");
+  yield* sys.print("  ps                          - show process table");
+  yield* sys.print("  ls [-l] [dir]               - list a directory (-l: mode, owner)");
+  yield* sys.print("  cd [dir] / pwd              - change / print working directory");
+  yield* sys.print("  mkdir [-p] <dir>            - create a directory");
+  yield* sys.print("  rmdir <dir>                 - remove an empty directory");
+  yield* sys.print("  mv <from> <to>              - rename a file or directory");
+  yield* sys.print("  netstat                     - show message and stream ports");
+  yield* sys.print("  ping [-c n] [-i secs] <host> - round trips to another host");
+  yield* sys.print("  ifconfig / route            - this host's address / its links");
+  yield* sys.print("  cat [path]                  - print a file (or stdin)");
+  yield* sys.print("  echo <text>                 - print text");
+  yield* sys.print("  grep <pattern> [path]       - print matching lines");
+  yield* sys.print("  echo-file <path> <text>     - write text to a file");
+  yield* sys.print("  hexdump <path>              - show a (binary) file in hex");
+  yield* sys.print("  dmesg [-p pid] [-l level] [-f facility] [-n count] [text]");
+  yield* sys.print("                              - show the kernel log");
+  yield* sys.print("  syslogd [maxBytes] [keep]   - copy the log to /var/log/messages");
+  yield* sys.print("  strace <pid> | <cmd> [args] - trace the syscalls of a process");
+  yield* sys.print("  top [-n frames] [-d secs] [-s key] - processes by CPU share");
+  yield* sys.print("  rm <path>                   - remove a file");
+  yield* sys.print("  env                         - print the environment");
+  yield* sys.print("  sh [script] [args...]       - run a shell script (or stdin)");
+  yield* sys.print("  install <file.js> [name]    - install a JS program into /bin");
+  yield* sys.print("  login / su <user> [passwd]  - become another user (su: root)");
+  yield* sys.print("  whoami / id                 - show the current user");
+  yield* sys.print("  chmod <mode> <path>         - change mode (755, u+x, go-w, ...)");
+  yield* sys.print("  chown <user>[:group] <path> - change owner (root only)");
+  yield* sys.print("  kill <pid> [SIGNAL]         - send a signal (TERM, INT, HUP,");
+  yield* sys.print("                                KILL, STOP, CONT, TSTP);");
+  yield* sys.print("                                -<pgid> signals a whole job");
+  yield* sys.print("  jobs [-l] / fg [%n] / bg [%n] - list jobs, resume in fg / bg");
+  yield* sys.print("  ulimit [-a] | -u|-q|-f|-t [n] - show / set limits for new commands");
+  yield* sys.print("  sched [rr|prio|mlfq] [n]    - show/switch scheduler policy");
+  yield* sys.print("  help                        - this help");
+  yield* sys.print("You can chain commands with ';', e.g.: ps; ls; netstat");
+  yield* sys.print("Pipes and redirection: cmd1 | cmd2, > file, >> file, < file");
+  yield* sys.print("Conditionals: cmd1 && cmd2 (on success), cmd1 || cmd2 (on failure)");
+  yield* sys.print("Variables: export NAME=value, unset NAME, env; $NAME, ${NAME}, $?");
+  yield* sys.print("Quote with '...' or \"...\", escape with \\; ~ and * ? [..] expand");
+  yield* sys.print("Scripts: if/then/elif/else/fi, for x in ...; do ...; done, $1..$9,");
+  yield* sys.print("  exit [n], # comments; files starting with #!/bin/sh run by path");
+  yield* sys.print("/etc/rc runs at boot: add daemons there (it starts echo-server)");
+  yield* sys.print("Commands are looked up in $PATH (/bin), see ls /bin; scripts run");
+  yield* sys.print("  by path need the x bit (chmod +x)");
+  yield* sys.print("Users: root (password root) and guest (no password), see /etc/passwd");
+  yield* sys.print("Jobs: cmd & runs in the background; Ctrl+C interrupts and Ctrl+Z");
+  yield* sys.print("  stops the foreground job");
+  yield* sys.exit(0);
+}
+
+// install: check JavaScript source from the VFS and copy it into /bin,
+// where it runs as a command like the built-in ones, with the host's
+// full power (compileProgram is no sandbox)
+export function* installProgram(sys, src, name) {
+  if (!src) {
+    yield* sys.printErr("install: usage: install <source.js> [name]");
+    yield* sys.exit(1);
+    return;
+  }
+  const text = yield* sys.readFile(src);
+  if (text == null) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`install: ${src}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  const source = text.replace(/^#!js[^\n]*\n?/, "");
+  try {
+    compileProgram(source);
+  } catch (err) {
+    yield* sys.printErr(`install: ${src}: ${err.message}`);
+    yield* sys.exit(1);
+    return;
+  }
+  const target = `/bin/${name || src.split("/").pop().replace(/\.js$/, "")}`;
+  if (
+    (yield* sys.writeFile(target, `#!js\n${source}`)) == null ||
+    !(yield* sys.chmod(target, 0o755)) ||
+    !(yield* sys.fsync())
+  ) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`install: ${target}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.print(`install: ${src} -> ${target}`);
+  yield* sys.exit(0);
+}
+
+// whoami: name of the user this process runs as
+export function* whoamiProgram(sys) {
+  const names = yield* userNames(sys);
+  yield* sys.print(names.user(yield* sys.getuid()));
+  yield* sys.exit(0);
+}
+
+// id: uid and gid, with names
+export function* idProgram(sys) {
+  const names = yield* userNames(sys);
+  const uid = yield* sys.getuid();
+  const gid = yield* sys.getgid();
+  yield* sys.print(`uid=${uid}(${names.user(uid)}) gid=${gid}(${names.group(gid)})`);
+  yield* sys.exit(0);
+}
+
+// "755" or symbolic clauses such as "u+x", "go-w", "a=r", "+t" applied to
+// `mode`; null if `spec` makes no sense.
+function parseMode(spec, mode) {
+  if (/^[0-7]{1,4}$/.test(spec)) return parseInt(spec, 8);
+  const shifts = { u: 6, g: 3, o: 0 };
+  for (const clause of spec.split(",")) {
+    const m = /^([ugoa]*)([+=-])([rwxt]*)$/.exec(clause);
+    if (!m) return null;
+    const who = !m[1] || m[1].includes("a") ? "ugo" : m[1];
+    let bits = m[3].includes("t") ? S_ISVTX : 0;
+    let mask = 0;
+    for (const w of who) {
+      mask |= 7 << shifts[w];
+      for (const p of m[3].replace("t", "")) {
+        bits |= { r: 4, w: 2, x: 1 }[p] << shifts[w];
+      }
+    }
+    if (m[2] === "+") mode |= bits;
+    else if (m[2] === "-") mode &= ~bits;
+    else mode = (mode & ~mask) | bits;
+  }
+  return mode;
+}
+
+// chmod <mode> <path>: octal or symbolic (u+x, go-w, ...)
+export function* chmodProgram(sys, spec, path) {
+  if (!spec || !path) {
+    yield* sys.printErr("chmod: usage: chmod <mode> <path>");
+    yield* sys.exit(1);
+    return;
+  }
+  const st = yield* sys.stat(path);
+  const mode = st ? parseMode(spec, st.mode) : null;
+  if (st && mode === null) {
+    yield* sys.printErr(`chmod: invalid mode: ${spec}`);
+    yield* sys.exit(1);
+    return;
+  }
+  if (!st || !(yield* sys.chmod(path, mode))) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`chmod: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.exit(0);
+}
+
+// chown <user>[:<group>] <path>: names or numeric ids, root only
+export function* chownProgram(sys, owner, path) {
+  if (!owner || !path) {
+    yield* sys.printErr("chown: usage: chown <user>[:<group>] <path>");
+    yield* sys.exit(1);
+    return;
+  }
+  const [userName, groupName] = owner.split(":");
+  const users = parsePasswd(yield* sys.readFile("/etc/passwd"));
+  const groups = parseGroup(yield* sys.readFile("/etc/group"));
+  const byName = (list, name, key) =>
+    /^\d+$/.test(name) ? Number(name) : list.find((e) => e.name === name)?.[key];
+  const uid = userName ? byName(users, userName, "uid") : null;
+  const gid = groupName ? byName(groups, groupName, "gid") : null;
+  if (uid === undefined || gid === undefined) {
+    yield* sys.printErr(`chown: invalid owner: ${owner}`);
+    yield* sys.exit(1);
+    return;
+  }
+  if (!(yield* sys.chown(path, uid, gid))) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`chown: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.exit(0);
+}
+
+// hexdump <path>: binary (or any) file as hex and ASCII
+export function* hexdumpProgram(sys, path) {
+  if (!path) {
+    yield* sys.printErr("hexdump: usage: hexdump <path>");
+    yield* sys.exit(1);
+    return;
+  }
+  const bytes = yield* sys.readFile(path, { encoding: null });
+  if (bytes == null) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`hexdump: ${path}: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  if (bytes.length > 0) yield* sys.print(hexDump(bytes));
+  yield* sys.exit(0);
+}
+
+// dmesg [-p pid] [-l level] [-f facility] [-n count] [text]: the kernel
+// log; -l shows that level and worse, text matches anywhere in a message.
+export function* dmesgProgram(sys, ...args) {
+  const filter = {};
+  const flags = { "-p": "pid", "-l": "level", "-f": "facility", "-n": "limit" };
+  let usage = false;
+  for (let i = 0; i < args.length && !usage; i++) {
+    const key = flags[args[i]];
+    if (key && i + 1 < args.length) filter[key] = args[++i];
+    else if (!key && !args[i].startsWith("-") && filter.text === undefined) {
+      filter.text = args[i];
+    }
+    else usage = true;
+  }
+  if (filter.limit !== undefined) {
+    filter.limit = Number(filter.limit);
+    if (!Number.isInteger(filter.limit) || filter.limit < 1) usage = true;
+  }
+  if (usage) {
+    yield* sys.printErr(
+      "dmesg: usage: dmesg [-p pid] [-l level] [-f facility] [-n count] [text]"
+    );
+    yield* sys.exit(2);
+    return;
+  }
+  const entries = yield* sys.readLog(filter);
+  if (!entries) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`dmesg: ${strerror(code)}`);
+    yield* sys.exit(1);
+    return;
+  }
+  for (const e of entries) {
+    const uptime = (e.timeMs / 1000).toFixed(3).padStart(10);
+    yield* sys.print(`[${uptime}] ${e.level.padEnd(5)} ${e.facility}[${e.pid}]: ${e.msg}`);
+  }
+  yield* sys.exit(0);
+}
+
+// strace <pid> | strace <command> [args...]: print the syscalls of a
+// running process until it exits (or strace is interrupted), or run a
+// command and print its syscalls. Trace lines go to stderr, as in Unix.
+export function* straceProgram(sys, target, ...args) {
+  if (!target) {
+    yield* sys.printErr("strace: usage: strace <pid> | strace <command> [args...]");
+    yield* sys.exit(2);
+    return;
+  }
+  const attach = /^\d+$/.test(target);
+  const pid = attach
+    ? Number(target)
+    : yield* sys.spawn(target, { args, trace: true });
+  let since = attach ? yield* sys.traceAttach(pid) : 0;
+  if (pid == null || since == null) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`strace: ${target}: ${strerror(code)}`);
+    yield* sys.exit(attach ? 1 : code === "ENOENT" ? 127 : 126);
+    return;
+  }
+
+  while (true) {
+    const res = yield* sys.traceRead(pid, { since, wait: true });
+    if (!res) break; // already reaped
+    for (const entry of res.entries) {
+      yield* sys.printErr(formatSyscallEntry(entry));
+      since = entry.seq;
+    }
+    if (!res.alive) {
+      yield* sys.printErr(`+++ exited with ${res.exitCode} +++`);
+      break;
+    }
+  }
+  if (attach) {
+    yield* sys.traceDetach(pid);
+    yield* sys.exit(0);
+    return;
+  }
+  const status = yield* sys.waitpid(pid);
+  yield* sys.exit(status ? status.exitCode : 1);
+}
+
+// ping [-c count] [-i seconds] <host>: round trips to a host on the
+// virtual network; exits 0 if any reply came back.
+export function* pingProgram(sys, ...args) {
+  const opts = { "-c": 4, "-i": 1 };
+  let host = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] in opts && i + 1 < args.length) opts[args[i]] = Number(args[++i]);
+    else if (host === null && !args[i].startsWith("-")) host = args[i];
+    else host = undefined;
+  }
+  const count = opts["-c"];
+  const intervalMs = opts["-i"] * 1000;
+  if (!host || !(count > 0) || !(intervalMs >= 0)) {
+    yield* sys.printErr("ping: usage: ping [-c count] [-i seconds] <host>");
+    yield* sys.exit(2);
+    return;
+  }
+
+  const times = [];
+  for (let seq = 1; seq <= count; seq++) {
+    if (seq > 1) yield* sys.sleep(intervalMs);
+    const rtt = yield* sys.ping(host);
+    if (rtt === null) {
+      const code = yield* sys.errno();
+      if (code === "EHOSTUNREACH" || code === "ENETUNREACH") {
+        yield* sys.printErr(`ping: ${host}: ${strerror(code)}`);
+        yield* sys.exit(2);
+        return;
       }
+      yield* sys.print(`${host}: seq=${seq} timeout`);
+    } else {
+      times.push(rtt);
+      yield* sys.print(`reply from ${host}: seq=${seq} time=${rtt}ms`);
+    }
+  }
+  const loss = Math.round((100 * (count - times.length)) / count);
+  const avg = times.length ? ` avg ${Math.round(times.reduce((a, b) => a + b, 0) / times.length)}ms` : "";
+  yield* sys.print(`${count} sent, ${times.length} received, ${loss}% loss${avg}`);
+  yield* sys.exit(times.length > 0 ? 0 : 1);
+}
 
-      case "SEND": {
-        const target = this._findPcb(syscall.toPid);
-        if (target) {
-          const queue = this.mailbox.get(target.pid) || [];
-          const msg = { fromPid: pcb.pid, payload: syscall.payload };
-          queue.push(msg);
-          this.mailbox.set(target.pid, queue);
-
-          if (
-            target.state === ProcessState.BLOCKED &&
-            target.blockReason === "recv" &&
-            queue.length > 0
-          ) {
-            const deliver = queue.shift();
-            this.mailbox.set(target.pid, queue);
-            target.state = ProcessState.READY;
-            target.blockReason = null;
-            target.nextValue = deliver;
-          }
-        }
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = true;
-        break;
+// ifconfig: this host's interfaces and traffic counters
+export function* ifconfigProgram(sys) {
+  yield* sys.print("lo    127.0.0.1");
+  const info = yield* sys.netInfo();
+  if (!info) {
+    yield* sys.exit(0);
+    return;
+  }
+  const { stats } = info;
+  yield* sys.print(`net0  ${info.address}${info.hostname ? ` (${info.hostname})` : ""}`);
+  yield* sys.print(
+    `      tx ${stats.txPackets} packets ${stats.txBytes} bytes, ` +
+      `rx ${stats.rxPackets} packets ${stats.rxBytes} bytes, dropped ${stats.dropped}`
+  );
+  yield* sys.exit(0);
+}
+
+// route: the links from this host to the others on the network
+export function* routeProgram(sys) {
+  const info = yield* sys.netInfo();
+  if (!info) {
+    yield* sys.printErr(`route: ${strerror("ENETUNREACH")}`);
+    yield* sys.exit(1);
+    return;
+  }
+  yield* sys.print("Destination      Hostname     Latency  Bandwidth   Loss  State");
+  for (const l of info.links) {
+    const bandwidth = l.bandwidth ? `${l.bandwidth} B/s` : "unlimited";
+    yield* sys.print(
+      `${l.address.padEnd(16)} ${(l.hostname ?? "-").padEnd(12)} ` +
+        `${`${l.latencyMs}ms`.padStart(7)}  ${bandwidth.padEnd(11)} ` +
+        `${`${Math.round(l.loss * 100)}%`.padStart(4)}  ${l.up ? "up" : "down"}`
+    );
+  }
+  yield* sys.exit(0);
+}
+
+// Sort keys of `top -s`, biggest first except pid and name.
+const TOP_SORT_KEYS = {
+  cpu: (a, b) => b.cpu - a.cpu || a.pid - b.pid,
+  pid: (a, b) => a.pid - b.pid,
+  name: (a, b) => a.name.localeCompare(b.name) || a.pid - b.pid,
+  steps: (a, b) => b.steps - a.steps || a.pid - b.pid,
+  syscalls: (a, b) => b.syscalls - a.syscalls || a.pid - b.pid,
+  msgs: (a, b) => b.msgsSent + b.msgsRecv - (a.msgsSent + a.msgsRecv) || a.pid - b.pid,
+  vfs: (a, b) => b.vfsBytes - a.vfsBytes || a.pid - b.pid,
+  blocked: (a, b) => b.blockedMs - a.blockedMs || a.pid - b.pid,
+};
+
+// top [-n frames] [-d seconds] [-s key]: every `seconds` print the
+// process table with each process's share of the CPU steps handed out
+// since the previous frame, `frames` times (5). The shell captures a
+// command's output and sends it back once the command is done, so top
+// is a snapshot there, not a live view: it always stops.
+export function* topProgram(sys, ...args) {
+  const opts = { "-n": 5, "-d": 1, "-s": "cpu" };
+  for (let i = 0; i < args.length; i += 2) {
+    if (!(args[i] in opts) || i + 1 >= args.length) {
+      opts.error = true;
+      break;
+    }
+    opts[args[i]] = args[i + 1];
+  }
+  const frames = Number(opts["-n"]);
+  const delayMs = Number(opts["-d"]) * 1000;
+  const compare = TOP_SORT_KEYS[opts["-s"]];
+  if (opts.error || !Number.isInteger(frames) || frames < 1 || !(delayMs > 0) || !compare) {
+    yield* sys.printErr("top: usage: top [-n frames] [-d seconds] [-s key]");
+    yield* sys.printErr(`top: keys: ${Object.keys(TOP_SORT_KEYS).join(", ")}`);
+    yield* sys.exit(2);
+    return;
+  }
+
+  let before = yield* sys.stats();
+  let lastSteps = new Map((yield* sys.ps()).map((p) => [p.pid, p.steps]));
+  for (let frame = 1; frame <= frames; frame++) {
+    yield* sys.sleep(delayMs);
+    const stats = yield* sys.stats();
+    const table = yield* sys.ps();
+    const total = stats.steps - before.steps;
+    const rows = table.map((p) => ({
+      ...p,
+      cpu: total > 0 ? (100 * (p.steps - (lastSteps.get(p.pid) ?? 0))) / total : 0,
+    }));
+    rows.sort(compare);
+
+    const { states } = stats;
+    if (frame > 1) yield* sys.print("");
+    yield* sys.print(
+      `top - up ${(stats.uptimeMs / 1000).toFixed(1)}s, ${stats.processes} processes: ` +
+        `${states.READY + states.RUNNING} running, ${states.BLOCKED} blocked, ` +
+        `${states.STOPPED} stopped, ${states.ZOMBIE} zombie`
+    );
+    yield* sys.print(
+      `steps ${stats.steps} (+${total}), syscalls ${stats.syscalls}, ` +
+        `ports ${stats.ports}, files ${stats.files} (${stats.vfsBytes} B), sched ${stats.scheduler}`
+    );
+    yield* sys.print(
+      "  PID NAME            STATE     %CPU   STEPS  SYSCALLS  SENT  RECV   VFS-B  BLOCKED"
+    );
+    for (const p of rows) {
+      yield* sys.print(
+        `${String(p.pid).padStart(5)} ${p.name.slice(0, 15).padEnd(15)} ` +
+          `${p.state.padEnd(9)} ${p.cpu.toFixed(1).padStart(5)} ` +
+          `${String(p.steps).padStart(7)} ${String(p.syscalls).padStart(9)} ` +
+          `${String(p.msgsSent).padStart(5)} ${String(p.msgsRecv).padStart(5)} ` +
+          `${String(p.vfsBytes).padStart(7)} ${(p.blockedMs / 1000).toFixed(1).padStart(7)}s`
+      );
+    }
+    before = stats;
+    lastSteps = new Map(table.map((p) => [p.pid, p.steps]));
+  }
+  yield* sys.exit(0);
+}
+
+// syslogd [maxBytes] [keep]: copies the kernel log to /var/log/messages.
+// Once the file would grow past maxBytes it is rotated (messages ->
+// messages.1 -> messages.2 ...), keeping `keep` old files.
+export function* syslogdProgram(sys, maxBytes = 16384, keep = 3) {
+  const path = "/var/log/messages";
+  maxBytes = Number(maxBytes);
+  keep = Number(keep);
+  let since = 0;
+  while (true) {
+    const entries = yield* sys.readLog({ since, wait: true });
+    if (!entries) continue; // interrupted
+    since = entries[entries.length - 1].seq;
+    const text = entries.map((e) => `${formatLogEntry(e)}\n`).join("");
+
+    const current = yield* sys.stat(path);
+    // stat sizes are bytes, so the new text is counted in bytes too
+    if (current && current.size > 0 && current.size + utf8Length(text) > maxBytes) {
+      yield* sys.unlink(`${path}.${keep}`);
+      for (let n = keep - 1; n >= 1; n--) {
+        yield* sys.rename(`${path}.${n}`, `${path}.${n + 1}`);
       }
+      if (keep > 0) yield* sys.rename(path, `${path}.1`);
+      else yield* sys.unlink(path);
+    }
+    const fd = yield* sys.open(path, "a");
+    if (fd == null) {
+      const code = yield* sys.errno();
+      yield* sys.printErr(`syslogd: ${path}: ${strerror(code)}`);
+      yield* sys.exit(1);
+      return;
+    }
+    yield* sys.write(fd, text);
+    yield* sys.close(fd);
+  }
+}
 
-      case "RECV": {
-        const queue = this.mailbox.get(pcb.pid) || [];
-        if (queue.length > 0) {
-          const msg = queue.shift();
-          this.mailbox.set(pcb.pid, queue);
-          pcb.state = ProcessState.READY;
-          pcb.blockReason = null;
-          pcb.nextValue = msg;
+// Programs every kernel registers at boot (see Kernel.registerProgram).
+const DEFAULT_PROGRAMS = {
+  "echo-server": { program: echoServer, priority: 2, daemon: true },
+  "echo-client": { program: echoClient },
+  ps: { program: psProgram },
+  ls: { program: lsProgram },
+  pwd: { program: pwdProgram },
+  mkdir: { program: mkdirProgram },
+  rmdir: { program: rmdirProgram },
+  mv: { program: mvProgram },
+  netstat: { program: netstatProgram },
+  cat: { program: catProgram },
+  echo: { program: echoProgram },
+  env: { program: envProgram },
+  grep: { program: grepProgram },
+  "echo-file": { program: echoFileProgram },
+  rm: { program: rmProgram },
+  kill: { program: killProgram, priority: 2 },
+  sched: { program: schedProgram, priority: 2 },
+  sh: { program: shProgram },
+  install: { program: installProgram },
+  whoami: { program: whoamiProgram },
+  id: { program: idProgram },
+  chmod: { program: chmodProgram },
+  chown: { program: chownProgram },
+  hexdump: { program: hexdumpProgram },
+  dmesg: { program: dmesgProgram },
+  strace: { program: straceProgram },
+  top: { program: topProgram },
+  ping: { program: pingProgram },
+  ifconfig: { program: ifconfigProgram },
+  route: { program: routeProgram },
+  syslogd: { program: syslogdProgram, priority: 2, daemon: true },
+  help: { program: helpProgram },
+};
+
+// Drain a pipe until every writer has closed it.
+function* readAll(sys, fd) {
+  let text = "";
+  let chunk;
+  while ((chunk = yield* sys.read(fd))) text += chunk;
+  return text;
+}
+
+// Whatever a pipe holds right now, without waiting for more.
+function* readReady(sys, fd) {
+  let text = "";
+  while ((yield* sys.poll([{ type: "fd", fd }], 0)).length > 0) {
+    const chunk = yield* sys.read(fd);
+    if (!chunk) break;
+    text += chunk;
+  }
+  return text;
+}
+
+// ---------- Shell language ----------
+
+const SHELL_OPERATORS = ["||", "&&", ">>", "|", ";", "<", ">", "&"];
+const RESERVED_WORDS = ["if", "then", "elif", "else", "fi", "for", "do", "done"];
+
+// Split text into operator tokens ({ op }, a newline is op "\n") and words
+// ({ word }). A word is a list of segments { text, quote } so expansion can
+// tell which parts were quoted: quote is "" (bare), "'" , '"' or "\\"
+// (escaped char). A # at the start of a word comments out the line.
+function tokenize(text) {
+  const tokens = [];
+  let word = null;
+  const push = (part, quote) => {
+    if (!word) word = [];
+    const last = word[word.length - 1];
+    if (last && last.quote === quote) last.text += part;
+    else word.push({ text: part, quote });
+  };
+  const endWord = () => {
+    if (word) tokens.push({ word });
+    word = null;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "\n") {
+      endWord();
+      tokens.push({ op: "\n" });
+      i++;
+    } else if (/\s/.test(c)) {
+      endWord();
+      i++;
+    } else if (c === "#" && !word) {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (c === "\\") {
+      // backslash-newline continues the line
+      if (i + 1 < text.length && text[i + 1] !== "\n") push(text[i + 1], "\\");
+      i += 2;
+    } else if (c === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) throw new Error("unterminated '");
+      push(text.slice(i + 1, end), "'");
+      i = end + 1;
+    } else if (c === '"') {
+      push("", '"'); // "" on its own is still an (empty) word
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        // inside double quotes only \ $ " ` keep their escape meaning
+        if (text[i] === "\\" && /[\\$"`]/.test(text[i + 1] ?? "")) {
+          push(text[i + 1], "\\");
+          i += 2;
         } else {
-          pcb.state = ProcessState.BLOCKED;
-          pcb.blockReason = "recv";
-          pcb.waitingFor = { type: "RECV" };
+          push(text[i++], '"');
         }
-        break;
       }
+      if (i >= text.length) throw new Error('unterminated "');
+      i++;
+    } else {
+      const op = SHELL_OPERATORS.find((o) => text.startsWith(o, i));
+      if (op) {
+        endWord();
+        tokens.push({ op });
+        i += op.length;
+      } else {
+        push(c, "");
+        i++;
+      }
+    }
+  }
+  endWord();
+  return tokens;
+}
 
-      case "LISTEN": {
-        const port = Number(syscall.port);
-        const existing = this.ports.get(port);
-        if (existing && existing.ownerPid !== pcb.pid) {
-          pcb.state = ProcessState.READY;
-          pcb.blockReason = null;
-          pcb.nextValue = false;
-        } else {
-          const entry = existing || { ownerPid: pcb.pid, queue: [] };
-          entry.ownerPid = pcb.pid;
-          this.ports.set(port, entry);
-          pcb.state = ProcessState.READY;
-          pcb.blockReason = null;
-          pcb.nextValue = true;
-        }
-        break;
+// Parse a command line or a whole script into a list of nodes joined by
+// ";" (or newline), "&&" and "||". Every node has `op`, joining it to the
+// previous one, and a `type`:
+//   "pipeline"  commands: [{ argv, stdin, stdout, append }], background
+//   "if"        branches: [{ cond, body }], elseBody (lists or null)
+//   "for"       name, words (null = the script arguments), body
+// Words are kept unexpanded: expansion happens when the node runs.
+function parseScript(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (tok, ...names) =>
+    !!tok &&
+    !!tok.word &&
+    tok.word.length === 1 &&
+    tok.word[0].quote === "" &&
+    names.includes(tok.word[0].text);
+  const isSeparator = (tok) => !!tok && (tok.op === ";" || tok.op === "\n");
+  const describe = (tok) =>
+    !tok ? "end of input" : `"${tok.op ?? tok.word.map((s) => s.text).join("")}"`;
+  const fail = (tok) => {
+    throw new Error(`syntax error near ${describe(tok)}`);
+  };
+  const skipNewlines = () => {
+    while (peek() && peek().op === "\n") pos++;
+  };
+  const expect = (name) => {
+    if (!isKeyword(peek(), name)) fail(peek());
+    pos++;
+  };
+
+  function parseList(...stops) {
+    const list = [];
+    let op = ";";
+    while (true) {
+      if (op === ";") {
+        while (isSeparator(peek())) pos++;
+        if (!peek() || isKeyword(peek(), ...stops)) break;
+      } else {
+        skipNewlines();
       }
+      const node = parseCommand();
+      node.op = op;
+      list.push(node);
 
-      case "SEND_PORT": {
-        const port = Number(syscall.port);
-        const entry = this.ports.get(port);
-        if (entry) {
-          const msg = { fromPid: pcb.pid, payload: syscall.payload };
-          entry.queue.push(msg);
-          const target = this._findPcb(entry.ownerPid);
-          if (
-            target &&
-            target.state === ProcessState.BLOCKED &&
-            target.blockReason === "recv_port" &&
-            entry.queue.length > 0
-          ) {
-            const deliver = entry.queue.shift();
-            target.state = ProcessState.READY;
-            target.blockReason = null;
-            target.nextValue = deliver;
-          }
-        }
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = true;
-        break;
+      const tok = peek();
+      if (tok && tok.op === "&") {
+        if (node.type !== "pipeline") fail(tok);
+        node.background = true;
+        op = ";";
+        pos++;
+        continue;
       }
+      if (!tok || isKeyword(tok, ...stops)) break;
+      if (tok.op === "&&" || tok.op === "||") op = tok.op;
+      else if (isSeparator(tok)) op = ";";
+      else fail(tok);
+      pos++;
+    }
+    return list;
+  }
 
-      case "RECV_PORT": {
-        const port = Number(syscall.port);
-        const entry = this.ports.get(port);
-        if (entry && entry.queue.length > 0) {
-          const msg = entry.queue.shift();
-          pcb.state = ProcessState.READY;
-          pcb.blockReason = null;
-          pcb.nextValue = msg;
-        } else {
-          pcb.state = ProcessState.BLOCKED;
-          pcb.blockReason = "recv_port";
-          pcb.waitingFor = { type: "RECV_PORT", port };
+  function parseCommand() {
+    const tok = peek();
+    if (isKeyword(tok, "if")) return parseIf();
+    if (isKeyword(tok, "for")) return parseFor();
+    if (!tok || !tok.word || isKeyword(tok, ...RESERVED_WORDS)) fail(tok);
+    return parsePipeline();
+  }
+
+  function parseBody(...stops) {
+    const list = parseList(...stops);
+    if (list.length === 0) fail(peek());
+    return list;
+  }
+
+  function parseIf() {
+    pos++;
+    const branches = [];
+    while (true) {
+      const cond = parseBody("then");
+      expect("then");
+      branches.push({ cond, body: parseBody("elif", "else", "fi") });
+      if (!isKeyword(peek(), "elif")) break;
+      pos++;
+    }
+    let elseBody = null;
+    if (isKeyword(peek(), "else")) {
+      pos++;
+      elseBody = parseBody("fi");
+    }
+    expect("fi");
+    return { type: "if", branches, elseBody };
+  }
+
+  function parseFor() {
+    pos++;
+    const nameTok = peek();
+    if (!nameTok || !nameTok.word) fail(nameTok);
+    const name = nameTok.word.map((s) => s.text).join("");
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) fail(nameTok);
+    pos++;
+    let words = null;
+    if (isKeyword(peek(), "in")) {
+      pos++;
+      words = [];
+      while (peek() && peek().word) words.push(tokens[pos++].word);
+    }
+    if (!isSeparator(peek()) && !isKeyword(peek(), "do")) fail(peek());
+    while (isSeparator(peek())) pos++;
+    expect("do");
+    const body = parseBody("done");
+    expect("done");
+    return { type: "for", name, words, body };
+  }
+
+  function parsePipeline() {
+    const commands = [];
+    let cmd = { argv: [], stdin: null, stdout: null, append: false };
+    while (true) {
+      const tok = peek();
+      if (tok && tok.word) {
+        cmd.argv.push(tok.word);
+        pos++;
+      } else if (tok && (tok.op === "<" || tok.op === ">" || tok.op === ">>")) {
+        const target = tokens[pos + 1];
+        if (!target || !target.word) fail(target);
+        if (tok.op === "<") cmd.stdin = target.word;
+        else {
+          cmd.stdout = target.word;
+          cmd.append = tok.op === ">>";
         }
+        pos += 2;
+      } else if (tok && tok.op === "|") {
+        if (cmd.argv.length === 0) fail(tok);
+        commands.push(cmd);
+        cmd = { argv: [], stdin: null, stdout: null, append: false };
+        pos++;
+        skipNewlines();
+      } else {
         break;
       }
+    }
+    if (cmd.argv.length === 0) fail(peek());
+    commands.push(cmd);
+    return { type: "pipeline", commands };
+  }
 
-      case "SPAWN": {
-        const childPid = this._spawnInternal(syscall.program, syscall.opts || {});
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = childPid;
-        break;
-      }
+  const list = parseList();
+  if (pos < tokens.length) fail(peek());
+  return list;
+}
 
-      case "EXIT": {
-        pcb.state = ProcessState.TERMINATED;
-        pcb.blockReason = null;
-        pcb.exitCode =
-          typeof syscall.code === "number" ? syscall.code : pcb.exitCode ?? 0;
-        break;
-      }
+// $NAME, ${NAME} and the specials $? $$ $# $@ $* $0..$9.
+const VAR_PATTERN =
+  /\$(?:\{([A-Za-z_][A-Za-z0-9_]*|[0-9?$#@*])\}|([A-Za-z_][A-Za-z0-9_]*|[0-9?$#@*]))/;
 
-      case "PS": {
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = this.getProcessTable();
-        break;
-      }
+const GLOB_CHARS = /[*?[]/;
 
-      case "LIST_FILES": {
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = this.listFiles();
-        break;
+// One path component of a glob as a RegExp ("\x" is a literal x, a
+// trailing "\" a literal backslash), or null for a pattern no RegExp can
+// take (e.g. "[z-a]"): like sh, the word then stays as it is.
+function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") re += (pattern[++i] ?? "\\").replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else if (c === "[") {
+      const end = pattern.indexOf("]", i + 2);
+      if (end === -1) re += "\\[";
+      else {
+        re += `[${pattern.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = end;
       }
+    } else re += c.replace(/[.+^${}()|\\]/g, "\\$&");
+  }
+  try {
+    return new RegExp(`^${re}$`);
+  } catch {
+    return null;
+  }
+}
 
-      case "READ_FILE": {
-        const path = syscall.path || "";
-        const meta = this.vfs.get(path) || null;
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = meta ? meta.content : null;
-        break;
-      }
+// Expand a glob against the VFS, one path component at a time. Dotfiles
+// only match a pattern that starts with ".". Sorted; [] if nothing matched.
+function* globVfs(sys, pattern) {
+  const absolute = pattern.startsWith("/");
+  let paths = [absolute ? "/" : ""];
+  const parts = pattern.split("/").filter(Boolean);
+  const join = (base, name) =>
+    base === "" ? name : base.endsWith("/") ? base + name : `${base}/${name}`;
 
-      case "WRITE_FILE": {
-        const path = syscall.path || "";
-        const text = String(syscall.text ?? "");
-        this._writeFile(path, text);
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = text.length;
-        break;
+  for (const part of parts) {
+    const next = [];
+    if (!GLOB_CHARS.test(part.replace(/\\./g, ""))) {
+      const name = part.replace(/\\(.)/g, "$1");
+      for (const base of paths) {
+        if (yield* sys.stat(join(base, name))) next.push(join(base, name));
       }
-
-      case "UNLINK": {
-        const path = syscall.path || "";
-        const ok = this._unlinkFile(path);
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = ok;
-        break;
+    } else {
+      const re = globToRegExp(part);
+      if (!re) return [];
+      for (const base of paths) {
+        const entries = (yield* sys.readdir(base || ".")) || [];
+        for (const e of entries) {
+          if (e.name.startsWith(".") && !part.startsWith(".")) continue;
+          if (re.test(e.name)) next.push(join(base, e.name));
+        }
       }
+    }
+    paths = next;
+    if (paths.length === 0) break;
+  }
+  return paths.sort();
+}
 
-      case "LIST_PORTS": {
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = this.getPortsTable();
-        break;
+// Expand one word into zero or more fields: variables outside single
+// quotes (split on whitespace when unquoted), a leading ~ and, for fields
+// whose unquoted text has wildcards, a VFS glob (left as is when it
+// matches nothing). Unquoted fields that end up empty disappear.
+function* expandWord(sys, word, vars) {
+  const fields = [];
+  let field = null;
+  const add = (text, quoted) => {
+    if (!field) field = { text: "", pattern: "", globbing: false, quoted };
+    field.text += text;
+    if (quoted) {
+      field.quoted = true;
+      field.pattern += text.replace(/[*?[\]\\]/g, "\\$&");
+    } else {
+      field.pattern += text;
+      if (GLOB_CHARS.test(text)) field.globbing = true;
+    }
+  };
+  const endField = () => {
+    if (field) fields.push(field);
+    field = null;
+  };
+
+  word.forEach(({ text, quote }, idx) => {
+    if (quote === "'" || quote === "\\") {
+      add(text, true);
+      return;
+    }
+    let raw = text;
+    if (quote === "" && idx === 0 && /^~(\/|$)/.test(raw)) {
+      add(vars.HOME ?? "/", true);
+      raw = raw.slice(1);
+    }
+    // split() keeps the two name groups: literal, braced, bare, literal...
+    const pieces = raw.split(VAR_PATTERN);
+    for (let i = 0; i < pieces.length; i += 3) {
+      if (pieces[i]) add(pieces[i], quote !== "");
+      if (i + 1 >= pieces.length) break;
+      const value = String(vars[pieces[i + 1] ?? pieces[i + 2]] ?? "");
+      if (quote !== "") {
+        add(value, true);
+        continue;
       }
+      value.split(/[ \t\n]+/).forEach((part, j) => {
+        if (j > 0) endField();
+        if (part) add(part, false);
+      });
+    }
+  });
+  endField();
 
-      case "KILL": {
-        const target = this._findPcb(syscall.targetPid);
-        if (target) {
-          this._log(
-            pcb.pid,
-            `Sending ${syscall.signal || "TERM"} to pid=${target.pid}`
-          );
-          target.state = ProcessState.TERMINATED;
-          target.blockReason = null;
-          target.exitCode = -1;
-        }
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = true;
-        break;
+  const out = [];
+  for (const f of fields) {
+    if (f.globbing) {
+      const matches = yield* globVfs(sys, f.pattern);
+      if (matches.length > 0) {
+        out.push(...matches);
+        continue;
       }
+    }
+    if (f.text !== "" || f.quoted) out.push(f.text);
+  }
+  return out;
+}
 
-      default: {
-        this._log(pcb.pid, `Unknown syscall: ${String(syscall.type)}`);
-        pcb.state = ProcessState.READY;
-        pcb.blockReason = null;
-        pcb.nextValue = null;
-        break;
+function* expandWords(sys, words, vars) {
+  const out = [];
+  for (const word of words) out.push(...(yield* expandWord(sys, word, vars)));
+  return out;
+}
+
+// ---------- Shell interpreter ----------
+
+// State of one running shell: the fds its commands write to, $? and
+// $0..$n, shell-local variables (for loop counters, not exported), its
+// jobs and, for the interactive shell, status notes sent back with each
+// result. Only the interactive shell does job control (process groups,
+// the terminal, Ctrl+C / Ctrl+Z).
+function createShellState({
+  out = 1,
+  err = 2,
+  args = ["sh"],
+  notes = null,
+  interactive = false,
+} = {}) {
+  return {
+    out,
+    err,
+    args,
+    notes,
+    interactive,
+    pgid: null,
+    vars: {},
+    limits: {}, // set by ulimit, for the commands started afterwards
+    status: 0,
+    exiting: false,
+    jobs: [],
+  };
+}
+
+function note(sh, text) {
+  if (sh.notes) sh.notes.push(text);
+}
+
+function* shellVars(sys, sh) {
+  const positional = sh.args.slice(1);
+  const vars = {
+    ...(yield* sys.getenv()),
+    ...sh.vars,
+    "?": String(sh.status),
+    $: String(yield* sys.getPid()),
+    "#": String(positional.length),
+    "@": positional.join(" "),
+    "*": positional.join(" "),
+  };
+  sh.args.forEach((arg, i) => {
+    if (i < 10) vars[i] = arg;
+  });
+  return vars;
+}
+
+// ulimit options and the per-process limit each one sets.
+const ULIMIT_FLAGS = {
+  "-u": { key: "maxChildren", label: "child processes" },
+  "-q": { key: "maxQueue", label: "message queue" },
+  "-f": { key: "maxFileBytes", label: "file size (bytes)" },
+  "-t": { key: "maxSteps", label: "cpu steps" },
+};
+
+// Builtins change the shell itself, so they run in the shell process
+// (only as a command of their own, not inside a pipeline). Returns the
+// exit status, or null if argv is not a builtin.
+function* runBuiltin(sys, sh, [cmd, ...args], vars) {
+  switch (cmd) {
+    case "cd": {
+      const [path = vars.HOME ?? "/"] = args;
+      if (yield* sys.chdir(path)) {
+        if (sh.notes) sh.notes.push(`cwd: ${yield* sys.getcwd()}`);
+        return 0;
+      }
+      const code = yield* sys.errno();
+      yield* sys.write(sh.err, `cd: ${path}: ${strerror(code)}\n`);
+      return 1;
+    }
+
+    // export NAME=value sets a variable for the shell and its children
+    case "export": {
+      if (args.length === 0) {
+        const env = yield* sys.getenv();
+        for (const name of Object.keys(env).sort()) {
+          yield* sys.write(sh.out, `export ${name}=${env[name]}\n`);
+        }
+        return 0;
+      }
+      let status = 0;
+      for (const arg of args) {
+        const eq = arg.indexOf("=");
+        const name = eq === -1 ? arg : arg.slice(0, eq);
+        const value = eq === -1 ? vars[name] ?? "" : arg.slice(eq + 1);
+        if (yield* sys.setenv(name, value)) {
+          delete sh.vars[name];
+        } else {
+          yield* sys.write(sh.err, `export: ${name}: not a valid identifier\n`);
+          status = 1;
+        }
       }
+      return status;
     }
 
-    // wake sleeping processes
-    for (const p of this.processes) {
-      if (
-        p.state === ProcessState.BLOCKED &&
-        p.waitingFor &&
-        p.waitingFor.type === "SLEEP" &&
-        this.timeMs >= p.waitingFor.until
-      ) {
-        p.state = ProcessState.READY;
-        p.blockReason = null;
-        p.waitingFor = null;
-        p.nextValue = true;
+    case "unset": {
+      for (const name of args) {
+        delete sh.vars[name];
+        yield* sys.unsetenv(name);
       }
+      return 0;
     }
-  }
 
-  _log(pid, msg) {
-    const entry = {
-      time: Date.now(),
-      pid,
-      msg,
-    };
-    this.logs.push(entry);
-    if (this.logs.length > 1000) {
-      this.logs.shift();
+    // exit [n]: stop the script (or the rest of the command line)
+    case "exit": {
+      sh.exiting = true;
+      return args.length > 0 ? Number(args[0]) || 0 : sh.status;
     }
-  }
 
-  // ---------- VFS helpers ----------
+    case "true":
+      return 0;
 
-  _writeFile(path, content) {
-    const now = Date.now();
-    const normPath = path.startsWith("/") ? path : `/${path}`;
-    const meta = this.vfs.get(normPath) || {
-      path: normPath,
-      createdAt: now,
-      updatedAt: now,
-      content: "",
-    };
-    meta.content = String(content);
-    meta.updatedAt = now;
-    this.vfs.set(normPath, meta);
-    this._saveVfsToStorage();
-  }
+    case "false":
+      return 1;
 
-  _unlinkFile(path) {
-    const normPath = path.startsWith("/") ? path : `/${path}`;
-    const existed = this.vfs.delete(normPath);
-    this._saveVfsToStorage();
-    return existed;
-  }
+    // login / su <user> [password]: switch the shell's own identity, which
+    // a child process could not do for it. login also starts over in the
+    // user's home directory; su with no user means root.
+    case "login":
+    case "su": {
+      const [name = cmd === "su" ? "root" : undefined, password] = args;
+      if (!name) {
+        yield* sys.write(sh.err, "login: usage: login <user> [password]\n");
+        return 1;
+      }
+      const user = yield* sys.login(name, password);
+      if (!user) {
+        const code = yield* sys.errno();
+        const why =
+          code === "ENOENT"
+            ? `unknown user ${name}`
+            : code === "EPERM"
+            ? "Authentication failure"
+            : strerror(code);
+        yield* sys.write(sh.err, `${cmd}: ${why}\n`);
+        return 1;
+      }
+      yield* sys.setenv("USER", user.name);
+      yield* sys.setenv("HOME", user.home);
+      if (cmd === "login" && (yield* sys.chdir(user.home))) {
+        note(sh, `cwd: ${yield* sys.getcwd()}`);
+      }
+      note(sh, `${user.name} (uid=${user.uid} gid=${user.gid})`);
+      return 0;
+    }
 
-  _saveVfsToStorage() {
-    try {
-      const obj = {};
-      for (const [path, meta] of this.vfs.entries()) {
-        obj[path] = {
-          path: meta.path,
-          createdAt: meta.createdAt,
-          updatedAt: meta.updatedAt,
-          content: meta.content,
-        };
+    // ulimit [-a] | ulimit -u|-q|-f|-t [n|unlimited]: show the limits, or
+    // set one for the commands started from now on (not the shell itself)
+    case "ulimit": {
+      const [flag = "-a", value] = args;
+      const limits = { ...(yield* sys.getLimits()), ...sh.limits };
+      const show = (v) => (v === null || v === Infinity ? "unlimited" : String(v));
+      if (flag === "-a" && value === undefined) {
+        for (const [opt, { key, label }] of Object.entries(ULIMIT_FLAGS)) {
+          yield* sys.write(sh.out, `${label.padEnd(22)} (${opt}) ${show(limits[key])}\n`);
+        }
+        yield* sys.write(sh.out, `${"processes (kernel)".padEnd(27)} ${show(limits.maxProcesses)}\n`);
+        yield* sys.write(sh.out, `${"vfs bytes (kernel)".padEnd(27)} ${show(limits.maxVfsBytes)}\n`);
+        yield* sys.write(sh.out, `${"full queue (kernel)".padEnd(27)} ${limits.queueFull}\n`);
+        return 0;
+      }
+      const entry = ULIMIT_FLAGS[flag];
+      if (!entry || args.length > 2) {
+        yield* sys.write(sh.err, "ulimit: usage: ulimit [-a] | ulimit -u|-q|-f|-t [n|unlimited]\n");
+        return 2;
       }
-      if (typeof localStorage !== "undefined") {
-        localStorage.setItem("bvkernel_vfs", JSON.stringify(obj));
+      if (value === undefined) {
+        yield* sys.write(sh.out, `${show(limits[entry.key])}\n`);
+        return 0;
       }
-    } catch {
-      // ignore
+      const n = value === "unlimited" ? Infinity : Number(value);
+      if (!(n >= 0) || (n !== Infinity && !Number.isInteger(n))) {
+        yield* sys.write(sh.err, `ulimit: ${value}: invalid number\n`);
+        return 1;
+      }
+      const current = limits[entry.key] ?? Infinity;
+      if (n > current && (yield* sys.getuid()) !== 0) {
+        yield* sys.write(sh.err, `ulimit: ${entry.label}: cannot raise limit: ${strerror("EPERM")}\n`);
+        return 1;
+      }
+      sh.limits = { ...sh.limits, [entry.key]: n === Infinity ? null : n };
+      return 0;
     }
-  }
 
-  _restoreVfsFromStorage() {
-    try {
-      if (typeof localStorage === "undefined") return;
-      const raw = localStorage.getItem("bvkernel_vfs");
-      if (!raw) return;
-      const obj = JSON.parse(raw);
-      for (const [path, meta] of Object.entries(obj)) {
-        this.vfs.set(path, {
-          path,
-          createdAt: meta.createdAt || Date.now(),
-          updatedAt: meta.updatedAt || meta.createdAt || Date.now(),
-          content: meta.content || "",
-        });
+    // jobs [-l]: list background and stopped jobs (-l adds the pgid)
+    case "jobs": {
+      yield* updateJobs(sys, sh);
+      for (const [i, job] of sh.jobs.entries()) {
+        const mark =
+          i === sh.jobs.length - 1 ? "+" : i === sh.jobs.length - 2 ? "-" : " ";
+        const pgid = args[0] === "-l" ? ` ${job.pgid}` : "";
+        const label = job.status === "stopped" ? "Stopped" : "Running";
+        const amp = job.status === "running" ? " &" : "";
+        yield* sys.write(
+          sh.out,
+          `[${job.id}]${mark}${pgid}  ${label.padEnd(8)} ${job.command}${amp}\n`
+        );
       }
-    } catch {
-      // ignore
+      return 0;
     }
-  }
 
-  // ---------- Syscall factory ----------
+    // fg / bg [%n]: resume a job in the foreground or the background
+    case "fg":
+    case "bg": {
+      yield* updateJobs(sys, sh);
+      const job = findJob(sh, args[0]);
+      if (!job) {
+        yield* sys.write(sh.err, `${cmd}: ${args[0] ?? "current"}: no such job\n`);
+        return 1;
+      }
+      if (job.status === "stopped") yield* sys.kill(-job.pgid, "SIGCONT");
+      job.status = "running";
+      if (cmd === "bg") {
+        note(sh, `[${job.id}]+ ${job.command} &`);
+        return 0;
+      }
+      note(sh, job.command);
+      return yield* waitJob(sys, sh, job);
+    }
 
-  _createSyscalls(pcb) {
-    const kernel = this;
-    return {
-      *sleep(ms) {
-        return yield { type: "SLEEP", ms };
-      },
-      *log(message) {
-        return yield { type: "LOG", message };
-      },
-      *getPid() {
-        return yield { type: "GET_PID" };
-      },
-      *send(toPid, payload) {
-        return yield { type: "SEND", toPid, payload };
-      },
-      *recv() {
-        return yield { type: "RECV" };
-      },
-      *listen(port) {
-        return yield { type: "LISTEN", port };
-      },
-      *sendToPort(port, payload) {
-        return yield { type: "SEND_PORT", port, payload };
-      },
-      *recvFromPort(port) {
-        return yield { type: "RECV_PORT", port };
-      },
-      *spawn(program, opts = {}) {
-        return yield { type: "SPAWN", program, opts };
-      },
-      *exit(code = 0) {
-        return yield { type: "EXIT", code };
-      },
-      *ps() {
-        return yield { type: "PS" };
-      },
-      *listFiles() {
-        return yield { type: "LIST_FILES" };
-      },
-      *readFile(path) {
-        return yield { type: "READ_FILE", path };
-      },
-      *writeFile(path, text) {
-        return yield { type: "WRITE_FILE", path, text };
-      },
-      *unlink(path) {
-        return yield { type: "UNLINK", path };
-      },
-      *listPorts() {
-        return yield { type: "LIST_PORTS" };
-      },
-      *kill(targetPid, signal = "TERM") {
-        return yield { type: "KILL", targetPid, signal };
-      },
-      // access to kernel for debug, if serve
-      get kernel() {
-        return kernel;
-      },
-    };
+    default:
+      return null;
   }
 }
 
-// ------------------ Userland programs ------------------
+const isAssignment = (word) =>
+  word[0].quote === "" && /^[A-Za-z_][A-Za-z0-9_]*=/.test(word[0].text);
 
-// Echo server on a virtual port
-export function* echoServer(sys, port = 8080) {
-  const ok = yield* sys.listen(port);
-  if (!ok) {
-    yield* sys.log(`Echo server: port ${port} already in use`);
-    yield* sys.exit(1);
-    return;
+// NAME=value ...: shell variables, or the environment if already exported.
+// The value is expanded but not split.
+function* assignVars(sys, sh, words, vars) {
+  const env = yield* sys.getenv();
+  for (const word of words) {
+    // expanded as if double-quoted: no splitting or globbing
+    const quoted = word.map((seg) =>
+      seg.quote === "" ? { ...seg, quote: '"' } : seg
+    );
+    const [text] = yield* expandWord(sys, quoted, vars);
+    const eq = text.indexOf("=");
+    const name = text.slice(0, eq);
+    const value = text.slice(eq + 1);
+    if (name in env) yield* sys.setenv(name, value);
+    else sh.vars[name] = value;
   }
-  const myPid = yield* sys.getPid();
-  yield* sys.log(`Echo server listening on port ${port}`);
+  return 0;
+}
 
-  while (true) {
-    const msg = yield* sys.recvFromPort(port);
-    if (!msg) continue;
-    const { fromPid, payload } = msg;
-    yield* sys.log(
-      `Echo server: from PID ${fromPid} -> ${JSON.stringify(payload)}`
+// Open a redirect target; on failure report it and return null.
+function* openRedirect(sys, sh, word, flags, vars) {
+  const paths = yield* expandWord(sys, word, vars);
+  if (paths.length !== 1) {
+    yield* sys.write(
+      sh.err,
+      `sh: ${paths.join(" ") || '""'}: ambiguous redirect\n`
     );
-    if (payload && typeof payload.text === "string") {
-      yield* sys.send(fromPid, {
-        type: "ECHO_REPLY",
-        text: payload.text,
-        from: myPid,
-      });
-    } else {
-      yield* sys.send(fromPid, {
-        type: "ECHO_REPLY",
-        text: "[no text]",
-        from: myPid,
-      });
-    }
+    return null;
   }
+  const [path] = paths;
+  const fd = yield* sys.open(path, flags);
+  if (fd == null) {
+    const code = yield* sys.errno();
+    yield* sys.write(sh.err, `sh: ${path}: ${strerror(code)}\n`);
+  }
+  return fd;
 }
 
-// Echo client: send a message to a port and wait for reply
-export function* echoClient(sys, port = 8080, text = "hello-from-client") {
-  const myPid = yield* sys.getPid();
-  yield* sys.log(`Client ${myPid}: send to port ${port}: ${text}`);
-  yield* sys.sendToPort(port, { text, from: myPid });
-  const reply = yield* sys.recv();
-  yield* sys.log(`Client ${myPid}: reply = ${JSON.stringify(reply?.payload)}`);
-  yield* sys.exit(0);
+// ---------- Shell jobs ----------
+
+// "echo 'a b' | grep a" back from the parsed words, for job listings.
+function commandText(commands) {
+  const quote = ({ text, quote: q }) =>
+    q === "'" ? `'${text}'` : q === '"' ? `"${text}"` : q === "\\" ? `\\${text}` : text;
+  const word = (w) => w.map(quote).join("");
+  return commands
+    .map(({ argv, stdin, stdout, append }) => {
+      const parts = argv.map(word);
+      if (stdin) parts.push("<", word(stdin));
+      if (stdout) parts.push(append ? ">>" : ">", word(stdout));
+      return parts.join(" ");
+    })
+    .join(" | ");
 }
 
-// ps: show process table
-export function* psProgram(sys) {
-  const table = yield* sys.ps();
-  yield* sys.log("=== ps ===");
-  for (const p of table) {
-    yield* sys.log(
-      `pid=${p.pid} name=${p.name} prio=${p.priority} state=${p.state} block=${p.blockReason || "-"}`
-    );
-  }
-  yield* sys.exit(0);
+function addJob(sh, job) {
+  job.id = Math.max(0, ...sh.jobs.map((j) => j.id)) + 1;
+  sh.jobs.push(job);
 }
 
-// ls: list virtual file system
-export function* lsProgram(sys) {
-  const files = yield* sys.listFiles();
-  yield* sys.log("=== ls (VFS) ===");
-  for (const f of files) {
-    yield* sys.log(`${f.path} (${f.size} bytes)`);
-  }
-  yield* sys.exit(0);
+// %n, n, or the most recent job.
+function findJob(sh, spec) {
+  if (spec === undefined) return sh.jobs[sh.jobs.length - 1] || null;
+  const id = Number(String(spec).replace(/^%/, ""));
+  return sh.jobs.find((j) => j.id === id) || null;
 }
 
-// netstat: list ports
-export function* netstatProgram(sys) {
-  const ports = yield* sys.listPorts();
-  yield* sys.log("=== netstat ===");
-  for (const p of ports) {
-    yield* sys.log(
-      `port=${p.port} ownerPid=${p.ownerPid} queue=${p.queueLength}`
-    );
-  }
-  yield* sys.exit(0);
+function jobExitCode(job) {
+  const last = job.procs.find((p) => p.pid === job.lastPid);
+  return last ? last.exitCode : job.lastStatus;
 }
 
-// cat: print file contents
-export function* catProgram(sys, path) {
-  if (!path) {
-    yield* sys.log("cat: missing path");
-    yield* sys.exit(1);
-    return;
-  }
-  const text = yield* sys.readFile(path);
-  if (text == null) {
-    yield* sys.log(`cat: ${path}: no such file`);
-    yield* sys.exit(1);
-    return;
-  }
-  yield* sys.log(`=== cat ${path} ===`);
-  yield* sys.log(text);
-  yield* sys.exit(0);
+// Copy what the job has written so far to the shell's out/err fds.
+function* drainJob(sys, sh, job) {
+  if (job.outR === null) return;
+  const out = yield* readReady(sys, job.outR);
+  const err = yield* readReady(sys, job.errR);
+  if (out) yield* sys.write(sh.out, out);
+  if (err) yield* sys.write(sh.err, err);
 }
 
-// echo-file: write arbitrary text to a file
-export function* echoFileProgram(sys, path, ...textParts) {
-  if (!path) {
-    yield* sys.log("echo-file: missing path");
-    yield* sys.exit(1);
-    return;
+function* closeJob(sys, sh, job) {
+  yield* drainJob(sys, sh, job);
+  if (job.outR !== null) {
+    yield* sys.close(job.outR);
+    yield* sys.close(job.errR);
   }
-  const text = textParts.join(" ");
-  const bytes = yield* sys.writeFile(path, text);
-  yield* sys.log(`echo-file: wrote ${bytes} chars to ${path}`);
-  yield* sys.exit(0);
+  sh.jobs = sh.jobs.filter((j) => j !== job);
 }
 
-// rm: delete a file
-export function* rmProgram(sys, path) {
-  if (!path) {
-    yield* sys.log("rm: missing path");
-    yield* sys.exit(1);
-    return;
+// Give the terminal to a job and wait until all of it has exited or it
+// has been stopped (Ctrl+Z); a stopped job stays in the table for fg/bg.
+function* waitJob(sys, sh, job) {
+  if (sh.interactive) yield* sys.setForeground(job.pgid);
+  for (const proc of job.procs) {
+    if (proc.exitCode !== null) continue;
+    const res = yield* sys.waitpid(proc.pid, { untraced: true });
+    if (res && res.stopped) {
+      job.status = "stopped";
+      break;
+    }
+    proc.exitCode = res ? res.exitCode : 1;
+    note(sh, `${proc.cmd} (pid=${proc.pid}) exited with code ${proc.exitCode}`);
   }
-  const ok = yield* sys.unlink(path);
-  if (ok) {
-    yield* sys.log(`rm: removed ${path}`);
-    yield* sys.exit(0);
-  } else {
-    yield* sys.log(`rm: ${path}: no such file`);
-    yield* sys.exit(1);
+  if (sh.interactive) yield* sys.setForeground(sh.pgid);
+
+  if (job.status === "stopped") {
+    yield* drainJob(sys, sh, job);
+    if (!sh.jobs.includes(job)) addJob(sh, job);
+    note(sh, `[${job.id}]+  Stopped  ${job.command}`);
+    return 128 + Signals.SIGTSTP;
   }
+  yield* closeJob(sys, sh, job);
+  return jobExitCode(job);
 }
 
-// kill: terminate a process
-export function* killProgram(sys, targetPid, signal = "TERM") {
-  if (!targetPid && targetPid !== 0) {
-    yield* sys.log("kill: missing pid");
-    yield* sys.exit(1);
-    return;
+// Collect children that exited or stopped while nobody was waiting, copy
+// background output and report finished jobs, bash style.
+function* updateJobs(sys, sh) {
+  let res;
+  while ((res = yield* sys.wait({ noHang: true, untraced: true }))) {
+    const job = sh.jobs.find((j) => j.procs.some((p) => p.pid === res.pid));
+    if (job && res.stopped) {
+      job.status = "stopped";
+    } else if (job) {
+      job.procs.find((p) => p.pid === res.pid).exitCode = res.exitCode;
+    } else if (!res.stopped) {
+      yield* sys.log(
+        `Shell: reaped ${res.name} (pid=${res.pid}) exit=${res.exitCode}`
+      );
+    }
+  }
+  for (const job of sh.jobs) {
+    if (job.procs.some((p) => p.exitCode === null)) {
+      yield* drainJob(sys, sh, job);
+      continue;
+    }
+    const code = jobExitCode(job);
+    note(sh, `[${job.id}]  ${code === 0 ? "Done" : `Exit ${code}`}  ${job.command}`);
+    yield* closeJob(sys, sh, job);
   }
-  yield* sys.kill(Number(targetPid), signal);
-  yield* sys.exit(0);
 }
 
-// help: list commands
-export function* helpProgram(sys) {
-  yield* sys.log("Available commands:");
-  yield* sys.log(
-    "  echo-client <port> <msg>    - send message to a server"
-  );
-  yield* sys.log("  echo-server <port>          - start echo server on port");
-  yield* sys.log("  ps                          - show process table");
-  yield* sys.log("  ls                          - list virtual file system");
-  yield* sys.log("  netstat                     - show open ports");
-  yield* sys.log("  cat <path>                  - print file contents");
-  yield* sys.log("  echo-file <path> <text>     - write text to a file");
-  yield* sys.log("  rm <path>                   - remove a file");
-  yield* sys.log("  kill <pid> [SIGNAL]         - terminate a process");
-  yield* sys.log("  help                        - this help");
-  yield* sys.log("You can chain commands with ';', e.g.: ps; ls; netstat");
-  yield* sys.exit(0);
-}
+// Every stage runs as a child of the shell, wired to its neighbours with
+// kernel pipes and to VFS files by < > >>, and together they form a job.
+// In the interactive shell a job is a process group with output pipes of
+// its own that the shell copies to its out/err fds, so a stopped or
+// background job never holds up a reply; in scripts the stages write to
+// the script's stdout/stderr. Returns the last stage's exit status (0 for
+// a background job). Daemons such as echo-server always start in the
+// background.
+function* runPipeline(sys, sh, commands, background = false) {
+  const vars = yield* shellVars(sys, sh);
 
-// Shell process with multi-command support
-export function* shellProcess(sys) {
-  const SHELL_PORT = 9999;
-  yield* sys.listen(SHELL_PORT);
-  yield* sys.log(`Shell ready on port ${SHELL_PORT}`);
+  // a simple command is expanded once, here, and run as it is below if
+  // it is not a builtin (globs must not hit the VFS twice)
+  let expanded = null;
+  const simple =
+    commands.length === 1 && !commands[0].stdin && !commands[0].stdout;
+  if (simple && !background) {
+    if (commands[0].argv.every(isAssignment)) {
+      return yield* assignVars(sys, sh, commands[0].argv, vars);
+    }
+    expanded = yield* expandWords(sys, commands[0].argv, vars);
+    if (expanded.length === 0) return 0;
+    const status = yield* runBuiltin(sys, sh, expanded, vars);
+    if (status !== null) return status;
+  }
 
-  while (true) {
-    const msg = yield* sys.recvFromPort(SHELL_PORT);
-    if (!msg) continue;
+  const job = {
+    id: null,
+    pgid: null,
+    command: commandText(commands),
+    procs: [], // { pid, cmd, exitCode }
+    status: "running",
+    lastPid: null,
+    lastStatus: 0, // used when the last stage could not be started
+    outR: null,
+    errR: null,
+  };
+  const shellFds = [];
+  let out = sh.out;
+  let err = sh.err;
+  if (sh.interactive) {
+    const [outR, outW] = yield* sys.pipe();
+    const [errR, errW] = yield* sys.pipe();
+    Object.assign(job, { outR, errR });
+    shellFds.push(outW, errW);
+    out = outW;
+    err = errW;
+  }
 
-    const { fromPid, payload } = msg;
-    const line = String(payload.command || "").trim();
-    if (!line) {
-      yield* sys.send(fromPid, {
-        type: "SHELL_RESULT",
-        output: "",
-      });
-      continue;
+  let stdinFd = 0;
+  for (let i = 0; i < commands.length; i++) {
+    const { argv, stdin, stdout: target, append } = commands[i];
+    const [cmd, ...args] = expanded ?? (yield* expandWords(sys, argv, vars));
+    const last = i === commands.length - 1;
+
+    let stdoutFd = out;
+    let nextStdin = null;
+    if (!last) {
+      const [r, w] = yield* sys.pipe();
+      shellFds.push(r, w);
+      stdoutFd = w;
+      nextStdin = r;
     }
 
-    yield* sys.log(`Shell client ${fromPid}: comando "${line}"`);
+    let stageStatus = 0;
+    if (stdin) {
+      const fd = yield* openRedirect(sys, sh, stdin, "r", vars);
+      if (fd == null) stageStatus = 1;
+      else shellFds.push((stdinFd = fd));
+    }
+    if (target && stageStatus === 0) {
+      const fd = yield* openRedirect(sys, sh, target, append ? "a" : "w", vars);
+      if (fd == null) stageStatus = 1;
+      else shellFds.push((stdoutFd = fd));
+    }
 
-    const parts = line
-      .split(";")
-      .map((s) => s.trim())
-      .filter((s) => s.length > 0);
+    const found = stageStatus === 0 && cmd ? yield* sys.which(cmd) : null;
+    if (stageStatus === 0 && cmd && !found) {
+      const code = yield* sys.errno();
+      if (code === "ENOENT" && !cmd.includes("/")) {
+        yield* sys.write(sh.err, `Command not found: ${cmd}\n`);
+      } else {
+        yield* sys.write(sh.err, `sh: ${cmd}: ${strerror(code)}\n`);
+      }
+      stageStatus = code === "ENOENT" ? 127 : 126;
+    }
 
-    const outputs = [];
+    if (found) {
+      if (commands.length === 1 && found.daemon) background = true;
+      const pid = yield* sys.spawn(found.path ?? cmd, {
+        args,
+        stdio: [stdinFd, stdoutFd, err],
+        pgid: sh.interactive ? job.pgid ?? 0 : undefined,
+        limits: sh.limits,
+      });
+      if (pid == null) {
+        const code = yield* sys.errno();
+        yield* sys.write(sh.err, `sh: ${cmd}: ${strerror(code)}\n`);
+        stageStatus = 126;
+      } else {
+        if (job.pgid === null) job.pgid = pid;
+        job.procs.push({ pid, cmd, exitCode: null });
+        if (last) job.lastPid = pid;
+      }
+    }
+    if (last) job.lastStatus = stageStatus;
+    stdinFd = nextStdin;
+  }
 
-    for (const part of parts) {
-      const [cmd, ...args] = part.split(/\s+/);
-      if (!cmd) continue;
+  // only the children may hold the write ends, or readers never see EOF
+  for (const fd of shellFds) yield* sys.close(fd);
 
-      switch (cmd) {
-        case "echo-client": {
-          const [portStr, ...msgParts] = args;
-          const port = Number(portStr || 8080);
-          const text = msgParts.join(" ") || "hello";
-          const pid = yield* sys.spawn((s) => echoClient(s, port, text), {
-            name: "echo-client",
-            priority: 1,
-          });
-          outputs.push(`Started echo-client (pid=${pid})`);
-          break;
-        }
+  if (job.procs.length === 0) {
+    yield* closeJob(sys, sh, job);
+    return job.lastStatus;
+  }
+  if (background) {
+    addJob(sh, job);
+    note(sh, `[${job.id}] ${job.pgid}`);
+    return 0;
+  }
+  return yield* waitJob(sys, sh, job);
+}
 
-        case "echo-server": {
-          const [portStr] = args;
-          const port = Number(portStr || 8080);
-          const pid = yield* sys.spawn((s) => echoServer(s, port), {
-            name: "echo-server",
-            priority: 2,
-          });
-          outputs.push(`Started echo-server (pid=${pid})`);
-          break;
-        }
+function* runNode(sys, sh, node) {
+  switch (node.type) {
+    case "pipeline":
+      return yield* runPipeline(sys, sh, node.commands, node.background);
 
-        case "ps": {
-          const pid = yield* sys.spawn(psProgram, {
-            name: "ps",
-            priority: 1,
-          });
-          outputs.push(`Started ps (pid=${pid})`);
-          break;
-        }
+    case "if": {
+      for (const { cond, body } of node.branches) {
+        yield* runList(sys, sh, cond);
+        if (sh.exiting) return sh.status;
+        if (sh.status === 0) return yield* runList(sys, sh, body);
+      }
+      return node.elseBody ? yield* runList(sys, sh, node.elseBody) : 0;
+    }
 
-        case "ls": {
-          const pid = yield* sys.spawn(lsProgram, {
-            name: "ls",
-            priority: 1,
-          });
-          outputs.push(`Started ls (pid=${pid})`);
-          break;
-        }
+    case "for": {
+      const items =
+        node.words === null
+          ? sh.args.slice(1)
+          : yield* expandWords(sys, node.words, yield* shellVars(sys, sh));
+      let status = 0;
+      for (const item of items) {
+        sh.vars[node.name] = item;
+        status = yield* runList(sys, sh, node.body);
+        if (sh.exiting) break;
+      }
+      return status;
+    }
 
-        case "netstat": {
-          const pid = yield* sys.spawn(netstatProgram, {
-            name: "netstat",
-            priority: 1,
-          });
-          outputs.push(`Started netstat (pid=${pid})`);
-          break;
-        }
+    default:
+      return 0;
+  }
+}
 
-        case "cat": {
-          const [path] = args;
-          const pid = yield* sys.spawn((s) => catProgram(s, path), {
-            name: "cat",
-            priority: 1,
-          });
-          outputs.push(`Started cat (pid=${pid})`);
-          break;
-        }
+// Run a parsed list, honouring && / || against the running $?.
+function* runList(sys, sh, list) {
+  for (const node of list) {
+    if (sh.exiting) break;
+    if (node.op === "&&" && sh.status !== 0) continue;
+    if (node.op === "||" && sh.status === 0) continue;
+    sh.status = yield* runNode(sys, sh, node);
+  }
+  return sh.status;
+}
 
-        case "echo-file": {
-          const [path, ...textParts] = args;
-          const pid = yield* sys.spawn(
-            (s) => echoFileProgram(s, path, ...textParts),
-            { name: "echo-file", priority: 1 }
-          );
-          outputs.push(`Started echo-file (pid=${pid})`);
-          break;
-        }
+function* runScriptText(sys, text, args) {
+  let list;
+  try {
+    list = parseScript(text);
+  } catch (err) {
+    yield* sys.printErr(`sh: ${args[0]}: ${err.message}`);
+    yield* sys.exit(2);
+    return;
+  }
+  const sh = createShellState({ args });
+  yield* runList(sys, sh, list);
+  yield* sys.exit(sh.status);
+}
 
-        case "rm": {
-          const [path] = args;
-          const pid = yield* sys.spawn((s) => rmProgram(s, path), {
-            name: "rm",
-            priority: 1,
-          });
-          outputs.push(`Started rm (pid=${pid})`);
-          break;
-        }
+// sh: run a script file with $0 = path and $1..$n = args, or the script
+// read from stdin without a path
+export function* shProgram(sys, path, ...args) {
+  if (path === undefined) {
+    yield* runScriptText(sys, yield* readAll(sys, 0), ["sh"]);
+    return;
+  }
+  const text = yield* sys.readFile(path);
+  if (text == null) {
+    const code = yield* sys.errno();
+    yield* sys.printErr(`sh: ${path}: ${strerror(code)}`);
+    yield* sys.exit(code === "ENOENT" ? 127 : 126);
+    return;
+  }
+  yield* runScriptText(sys, text, [path, ...args]);
+}
 
-        case "kill": {
-          const [pidStr, signal = "TERM"] = args;
-          const targetPid = Number(pidStr);
-          const pid = yield* sys.spawn(
-            (s) => killProgram(s, targetPid, signal),
-            { name: "kill", priority: 2 }
-          );
-          outputs.push(`Started kill (pid=${pid})`);
-          break;
-        }
+// Interactive shell, PID 1. Clients connect to its stream socket on port
+// 9999 and send { command } requests; each command line runs through the
+// same interpreter as scripts, with stdout and stderr of the whole line
+// captured on pipes and sent back on the connection in a SHELL_RESULT
+// together with the exit status and notes such as "ps (pid=4) exited with
+// code 0". Output of background jobs rides along with the next result.
+// Every open connection is polled, so a client that stays connected (the
+// dashboard) does not keep others waiting; command lines still run one at
+// a time, as they share the shell's state.
+export function* shellProcess(sys) {
+  const SHELL_PORT = 9999;
+  const server = yield* sys.socket();
+  yield* server.bind(SHELL_PORT);
+  yield* server.listen();
+  yield* sys.log(`Shell ready on port ${SHELL_PORT}`);
 
-        case "help": {
-          const pid = yield* sys.spawn(helpProgram, {
-            name: "help",
-            priority: 1,
-          });
-          outputs.push(`Started help (pid=${pid})`);
-          break;
-        }
+  const sh = createShellState({ interactive: true });
+  sh.pgid = yield* sys.getPgid();
+  // the shell owns the terminal between jobs and must outlive Ctrl+C/Ctrl+Z
+  yield* sys.signal("SIGINT", "ignore");
+  yield* sys.signal("SIGTSTP", "ignore");
+  yield* sys.setForeground(sh.pgid);
 
-        default: {
-          outputs.push(`Command not found: ${cmd}`);
-          break;
-        }
+  function* answer(conn, request) {
+    const line = String(request?.command || "").trim();
+    const [outR, outW] = yield* sys.pipe();
+    const [errR, errW] = yield* sys.pipe();
+    sh.out = outW;
+    sh.err = errW;
+    sh.notes = [];
+    sh.exiting = false;
+
+    // Collect jobs that have finished in the meantime (the kernel reaps
+    // orphans handed to PID 1 itself).
+    yield* updateJobs(sys, sh);
+
+    if (line) {
+      yield* sys.log(`Shell client ${request.from ?? "?"}: comando "${line}"`);
+      let list = null;
+      try {
+        list = parseScript(line);
+      } catch (err) {
+        yield* sys.write(errW, `sh: ${err.message}\n`);
+        sh.status = 2;
       }
+      if (list) yield* runList(sys, sh, list);
     }
 
-    const finalOut = outputs.join("\n");
-    yield* sys.send(fromPid, {
+    yield* sys.close(outW);
+    yield* sys.close(errW);
+    const stdout = yield* readReady(sys, outR);
+    const stderr = yield* readReady(sys, errR);
+    yield* sys.close(outR);
+    yield* sys.close(errR);
+
+    yield* conn.send({
       type: "SHELL_RESULT",
-      output: finalOut,
+      output: sh.notes.join("\n"),
+      stdout,
+      stderr,
+      exitCode: sh.status,
     });
   }
+
+  const conns = [];
+  while (true) {
+    for (const source of yield* sys.poll([server, ...conns])) {
+      if (source === server) {
+        const conn = yield* server.accept({ timeoutMs: 0 });
+        if (conn) conns.push(conn);
+        continue;
+      }
+      const request = yield* source.recv({ timeoutMs: 0 });
+      if (request !== null) {
+        yield* answer(source, request);
+        continue;
+      }
+      // ready and nothing to read: the client hung up
+      yield* source.close();
+      conns.splice(conns.indexOf(source), 1);
+    }
+  }
 }
 
 // (fine kernel.js)
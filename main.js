@@ -1,52 +1,95 @@
 // main.js - Bootstrap del kernel + collegamento UI
 
-import { Kernel, echoServer, echoClient, shellProcess } from "./kernel.js";
+import { Kernel, formatLogEntry, formatSyscallEntry, strerror } from "./kernel.js";
 
 // ––––– BOOT DEL KERNEL –––––
 
-const kernel = new Kernel({ tickMs: 50 });
-
-// Registra i programmi userland
-kernel.registerProgram("echo-server", echoServer);
-kernel.registerProgram("echo-client", echoClient);
-kernel.registerProgram("shell", shellProcess);
-
-// Avvia shell (porta 9999) e echo server (porta 8080)
-kernel.spawn(shellProcess, {
-  name: "shell",
-  priority: 2,
-});
-
-kernel.spawn((sys) => echoServer(sys, 8080), {
-  name: "echo-server",
-  priority: 2,
-});
+// I programmi userland di base (ls, cat, echo-server, ...) sono registrati
+// dal kernel stesso e compaiono in /bin; altri si aggiungono con
+// kernel.registerProgram(nome, function* (sys, ...args) { ... })
+// Il VFS è salvato in localStorage (una chiave per file, a blocchi);
+// per IndexedDB: new Kernel({ storage: new IndexedDbStorage() })
+// Con ?record nell'URL il kernel è deterministico (orologio virtuale,
+// seed fisso) e registra ogni syscall: "Export Trace" scarica la traccia
+// da allegare alle segnalazioni, replayTrace(trace) la riesegue.
+const record = new URLSearchParams(location.search).has("record");
+const kernel = new Kernel({ tickMs: 50, record });
+
+// Avvia la shell (PID 1, porta 9999) e lo script di boot /etc/rc,
+// che di default lancia l'echo server sulla porta 8080
+await kernel.ready;
+kernel.boot();
+
+// Le modifiche ancora in coda vanno salvate prima di chiudere la pagina
+window.addEventListener("pagehide", () => kernel.flush());
 
 // Esporta per debug da console
 window.kernel = kernel;
+window.replayTrace = (trace) =>
+  Kernel.replay(trace, { programs: { "shell-client": shellClient } });
 
 // ––––– UI: riferimenti DOM –––––
 
 const processTableBody = document.getElementById("processTableBody");
+const processHeaders = document.querySelectorAll("#processTable th[data-sort]");
 const portsTableBody = document.getElementById("portsTableBody");
 const vfsList = document.getElementById("vfsList");
 const logArea = document.getElementById("logArea");
+const logLevelSelect = document.getElementById("logLevel");
+const logFacilitySelect = document.getElementById("logFacility");
+const logSearchInput = document.getElementById("logSearch");
+const btnExportLogs = document.getElementById("btnExportLogs");
+const tracePidSelect = document.getElementById("tracePid");
+const traceArea = document.getElementById("traceArea");
 
 const btnAuto = document.getElementById("btnAuto");
 const btnSpawnEchoClient = document.getElementById("btnSpawnEchoClient");
 const btnClearLogs = document.getElementById("btnClearLogs");
+const btnExportTrace = document.getElementById("btnExportTrace");
+const schedSelect = document.getElementById("schedSelect");
 
 const shellHistoryEl = document.getElementById("shellHistory");
 const shellInputEl = document.getElementById("shellInput");
+const shellForegroundEl = document.getElementById("shellForeground");
 
 let autoId = null;
-let startTime = null;
+let processSort = null; // { key, dir } dalle intestazioni; null = albero
+let tracedPid = null; // processo seguito nel pannello strace
+let traceOptionsKey = "";
 
 // ––––– Funzioni di render –––––
 
+// Nodo DOM con il testo sempre come testo: nomi di processi e file e
+// contenuti vengono dal guest, e in innerHTML potrebbero eseguire script
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  node.append(...children);
+  return node;
+}
+
+// Valore di ordinamento per colonna (data-sort delle intestazioni)
+function processSortValue(p, key, now) {
+  if (key === "age") return now - p.spawnTime;
+  if (key === "msgs") return p.msgsSent + p.msgsRecv;
+  return p[key] ?? "";
+}
+
 function renderProcesses() {
   const procs = kernel.getProcessTable();
-  const now = Date.now();
+  const now = kernel.now();
+  if (processSort) {
+    const { key, dir } = processSort;
+    procs.sort((a, b) => {
+      const va = processSortValue(a, key, now);
+      const vb = processSortValue(b, key, now);
+      const cmp =
+        typeof va === "number" && typeof vb === "number"
+          ? va - vb
+          : String(va).localeCompare(String(vb));
+      return dir * cmp || a.pid - b.pid;
+    });
+  }
   processTableBody.innerHTML = "";
   for (const p of procs) {
     const tr = document.createElement("tr");
@@ -57,15 +100,31 @@ function renderProcesses() {
     if (p.priority >= 3) priorityClass = "priority-high";
     else if (p.priority >= 2) priorityClass = "priority-medium";
 
-    tr.innerHTML = `
-      <td>${p.pid}</td>
-      <td><strong>${p.name}</strong></td>
-      <td class="${priorityClass}">${p.priority}</td>
-      <td><span class="state-badge state-${p.state}">${p.state}</span></td>
-      <td>${p.blockReason || "-"}</td>
-      <td>${p.exitCode ?? "-"}</td>
-      <td>${ageSec}s</td>
-    `;
+    // Indentazione ad albero: i figli seguono il padre (solo senza ordinamento)
+    const nameCell = el("td");
+    if (p.depth > 0 && !processSort) {
+      const indent = "\u00a0\u00a0".repeat(p.depth - 1);
+      nameCell.append(el("span", { className: "tree-branch" }, `${indent}└─`), " ");
+    }
+    nameCell.append(el("strong", {}, p.name));
+
+    tr.append(
+      el("td", {}, p.pid),
+      el("td", {}, p.ppid || "-"),
+      nameCell,
+      el("td", { className: priorityClass }, p.priority),
+      el("td", {}, el("span", { className: `state-badge state-${p.state}` }, p.state)),
+      el("td", {}, p.blockReason || "-"),
+      el("td", {}, p.exitCode ?? "-"),
+      el("td", {}, `${ageSec}s`),
+      el("td", {}, p.steps),
+      el("td", {}, p.syscalls),
+      el("td", {}, `${p.msgsSent}/${p.msgsRecv}`),
+      el("td", {}, p.vfsBytes),
+      el("td", {}, `${(p.blockedMs / 1000).toFixed(1)}s`)
+    );
+    tr.title = "Click to trace its syscalls";
+    tr.onclick = () => selectTrace(p.pid);
     processTableBody.appendChild(tr);
   }
 }
@@ -74,16 +133,20 @@ function renderPorts() {
   const ports = kernel.getPortsTable();
   portsTableBody.innerHTML = "";
   for (const p of ports) {
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td><code>${p.port}</code></td>
-      <td>PID ${p.ownerPid}</td>
-      <td>${
+    const tr = el(
+      "tr",
+      {},
+      el("td", {}, el("code", {}, p.port)),
+      el("td", {}, p.proto === "stream" ? `stream (${p.connections} conn)` : "msg"),
+      el("td", {}, `PID ${p.ownerPid}`),
+      el(
+        "td",
+        {},
         p.queueLength > 0
-          ? `<span class="state-badge state-READY">${p.queueLength}</span>`
+          ? el("span", { className: "state-badge state-READY" }, p.queueLength)
           : "-"
-      }</td>
-    `;
+      )
+    );
     portsTableBody.appendChild(tr);
   }
 }
@@ -93,42 +156,131 @@ function renderVFS() {
   vfsList.innerHTML = "";
   for (const f of files) {
     const li = document.createElement("li");
-    li.innerHTML = `<strong>${f.path}</strong> <span style="color: var(--text-secondary)">(${f.size} bytes)</span> — <code>${f.preview}</code>`;
+    // Albero: indentazione per livello, cartelle senza anteprima
+    li.style.paddingLeft = `${12 + f.depth * 18}px`;
+    const info = (text) => el("span", { style: "color: var(--text-secondary)" }, text);
+    if (f.type === "dir") {
+      li.className = "vfs-dir";
+      li.append("📁 ", el("strong", {}, `${f.name}/`), " ", info(`(${f.size} entries)`));
+    } else if (f.binary) {
+      // File binari: hex dump dei primi byte invece del testo
+      li.append("📦 ", el("strong", {}, f.name), " ", info(`(${f.size} bytes, binary)`));
+      li.appendChild(el("pre", { className: "vfs-hex" }, f.preview));
+    } else {
+      li.append(
+        "📄 ",
+        el("strong", {}, f.name),
+        " ",
+        info(`(${f.size} bytes)`),
+        " — ",
+        el("code", {}, f.preview)
+      );
+    }
+    li.title = f.path;
     vfsList.appendChild(li);
   }
 }
 
+// Filtri del pannello log: livello minimo, facility, e testo libero
+// ("pid=N" filtra per processo)
+function logFilter() {
+  const filter = {};
+  if (logLevelSelect.value) filter.level = logLevelSelect.value;
+  if (logFacilitySelect.value) filter.facility = logFacilitySelect.value;
+  const search = logSearchInput.value.trim();
+  const pid = search.match(/^pid=(\d+)$/);
+  if (pid) filter.pid = Number(pid[1]);
+  else if (search) filter.text = search;
+  return filter;
+}
+
 function renderLogs() {
-  const logs = kernel.getLogs();
+  const logs = kernel.getLogs({ ...logFilter(), limit: 500 });
   logArea.textContent = logs
     .map(
       (l) =>
-        `[${new Date(l.time).toISOString().substr(11, 8)}] [PID ${l.pid}] ${
-          l.msg
-        }`
+        `[${new Date(l.time).toISOString().substr(11, 8)}] ${l.level
+          .toUpperCase()
+          .padEnd(5)} ${l.facility.padEnd(6)} [PID ${l.pid}] ${l.msg}`
     )
     .join("\n");
   logArea.scrollTop = logArea.scrollHeight;
 }
 
-function updateStatsDisplay() {
+// Pannello strace: il processo scelto resta tracciato finché non se ne
+// sceglie un altro; le sue ultime syscall restano visibili dopo l'uscita
+function selectTrace(pid) {
+  if (tracedPid !== null) kernel.untrace(tracedPid);
+  tracedPid = pid;
+  if (pid !== null) kernel.trace(pid);
+  renderTrace();
+}
+
+function renderTrace() {
   const procs = kernel.getProcessTable();
-  const ports = kernel.getPortsTable();
-  const files = kernel.listFiles();
+  const options = [["", "Not tracing (pick a process or click its row)"]];
+  for (const p of procs) options.push([p.pid, `PID ${p.pid} – ${p.name}`]);
+  if (tracedPid !== null && !procs.some((p) => p.pid === tracedPid)) {
+    options.push([tracedPid, `PID ${tracedPid} (exited)`]);
+  }
+  // rifatto solo se cambia, altrimenti il menu aperto si chiude a ogni tick
+  const key = JSON.stringify(options);
+  if (key !== traceOptionsKey) {
+    traceOptionsKey = key;
+    tracePidSelect.replaceChildren(
+      ...options.map(([value, label]) => el("option", { value }, label))
+    );
+  }
+  tracePidSelect.value = tracedPid ?? "";
 
-  const uptime = startTime ? Math.floor((Date.now() - startTime) / 1000) : 0;
+  if (tracedPid === null) {
+    traceArea.textContent = "";
+    return;
+  }
+  const entries = kernel.trace(tracedPid);
+  if (!entries) return; // processo sparito: resta l'ultima traccia
+  traceArea.textContent =
+    entries.slice(-200).map(formatSyscallEntry).join("\n") || "(no syscalls yet)";
+  traceArea.scrollTop = traceArea.scrollHeight;
+}
+
+function renderScheduler() {
+  // La policy può cambiare anche dalla shell (comando sched)
+  const info = kernel.getSchedulerInfo();
+  if (document.activeElement !== schedSelect) {
+    schedSelect.value = info.policy;
+  }
+  schedSelect.title = info.description;
+}
+
+// Totali dal kernel; l'uptime è il tempo virtuale (fermo a kernel fermo)
+function updateStatsDisplay() {
+  const stats = kernel.getStats();
+
+  const uptime = Math.floor(stats.uptimeMs / 1000);
   const uptimeStr =
     uptime >= 60
       ? `${Math.floor(uptime / 60)}m ${uptime % 60}s`
       : `${uptime}s`;
 
-  window.updateStats(procs.length, ports.length, files.length, uptimeStr);
+  window.updateStats(stats, uptimeStr);
+}
+
+// Chi possiede il terminale: la shell o il job in foreground
+function renderForeground() {
+  const job = kernel.getForegroundJob();
+  const busy = job && job.name !== "shell";
+  shellForegroundEl.textContent = job
+    ? `fg: ${job.name} (pgid=${job.pgid}, ${job.state.toLowerCase()})`
+    : "";
+  shellForegroundEl.classList.toggle("busy", Boolean(busy));
 }
 
 // Shell UI history
-function appendShellHistory(line) {
+function appendShellHistory(line, className = "") {
   const div = document.createElement("div");
   div.textContent = line;
+  if (className) div.className = className;
   shellHistoryEl.appendChild(div);
   shellHistoryEl.scrollTop = shellHistoryEl.scrollHeight;
 }
@@ -142,39 +294,65 @@ function oneTick() {
   renderPorts();
   renderVFS();
   renderLogs();
+  renderTrace();
+  renderScheduler();
+  renderForeground();
   updateStatsDisplay();
 }
 
 // ––––– Programma: shell-client per un comando –––––
 
-function makeShellClientProgram(line) {
-  return function* shellClient(sys) {
-    const myPid = yield* sys.getPid();
-    yield* sys.log(`Shell client ${myPid}: comando "${line}"`);
-
-    // Manda alla shell (porta 9999)
-    yield* sys.sendToPort(9999, { command: line, from: myPid });
-
-    // Aspetta risposta via IPC
-    const reply = yield* sys.recv();
-    if (reply && reply.payload && reply.payload.type === "SHELL_RESULT") {
-      const out = reply.payload.output;
-      yield* sys.log(`Shell result: ${out}`);
-      appendShellHistory(`→ ${out}`);
-    } else {
-      yield* sys.log("Shell result: nessuna risposta");
-      appendShellHistory("→ nessuna risposta");
+// La riga arriva come argomento (non in una closure), così la traccia
+// registrata basta a rieseguire lo spawn.
+function* shellClient(sys, line) {
+  const myPid = yield* sys.getPid();
+
+  // Connessione alla shell (porta 9999): una richiesta, una risposta
+  const conn = yield* sys.socket();
+  let reply = null;
+  let error = null;
+  if (yield* conn.connect(9999)) {
+    yield* conn.send({ command: line, from: myPid });
+    // stdout/stderr dei comandi + stato di uscita
+    reply = yield* conn.recv();
+  } else {
+    // es. "Connection refused" se la shell non è in ascolto
+    error = `connect: ${strerror(yield* sys.errno())}`;
+  }
+  yield* conn.close();
+  if (reply && reply.type === "SHELL_RESULT") {
+    const { stdout = "", stderr = "", output = "" } = reply;
+    for (const l of stdout.replace(/\n$/, "").split("\n")) {
+      if (stdout) appendShellHistory(l);
     }
-    yield* sys.exit(0);
-  };
+    for (const l of stderr.replace(/\n$/, "").split("\n")) {
+      if (stderr) appendShellHistory(l, "shell-stderr");
+    }
+    if (output) appendShellHistory(`→ ${output}`, "shell-status");
+  } else if (error) {
+    appendShellHistory(`sh: ${error}`, "shell-stderr");
+  } else {
+    appendShellHistory("→ nessuna risposta", "shell-stderr");
+  }
+  yield* sys.exit(0);
 }
 
 // ––––– Eventi UI –––––
 
+// Spawn dalla UI: con la tabella processi piena (limite maxProcesses)
+// il kernel rifiuta con EAGAIN, e lo diciamo nella shell
+function hostSpawn(program, opts) {
+  try {
+    kernel.spawn(program, opts);
+  } catch (err) {
+    appendShellHistory(`→ ${err.message}`, "shell-stderr");
+  }
+  oneTick();
+}
+
 btnAuto.onclick = () => {
   if (autoId === null) {
     autoId = setInterval(oneTick, 50);
-    startTime = Date.now();
     btnAuto.innerHTML = "⏸️ Stop Kernel";
     window.updateStatus(true);
   } else {
@@ -186,20 +364,86 @@ btnAuto.onclick = () => {
 };
 
 btnClearLogs.onclick = () => {
-  kernel.logs = [];
+  kernel.clearLogs();
   renderLogs();
   appendShellHistory("→ Logs cleared");
 };
 
+schedSelect.onchange = () => {
+  const info = kernel.setScheduler(schedSelect.value);
+  appendShellHistory(`→ Scheduler: ${info.description}`);
+  renderScheduler();
+  renderLogs();
+};
+
 btnSpawnEchoClient.onclick = () => {
-  kernel.spawn((sys) => echoClient(sys, 8080, "hello-from-ui"), {
-    name: "echo-client",
-    priority: 1,
-  });
-  oneTick();
+  hostSpawn("echo-client", { args: ["8080", "hello-from-ui"] });
+};
+
+// Clic su un'intestazione: ordina (contatori dal più alto), un secondo
+// clic inverte, il terzo torna all'albero
+const PROCESS_SORT_DESC = ["steps", "syscalls", "msgs", "vfsBytes", "blockedMs"];
+for (const th of processHeaders) {
+  th.onclick = () => {
+    const key = th.dataset.sort;
+    const first = PROCESS_SORT_DESC.includes(key) ? -1 : 1;
+    if (processSort?.key !== key) processSort = { key, dir: first };
+    else if (processSort.dir === first) processSort = { key, dir: -first };
+    else processSort = null;
+    for (const h of processHeaders) {
+      const dir = h === th && processSort ? processSort.dir : 0;
+      h.classList.toggle("sort-asc", dir === 1);
+      h.classList.toggle("sort-desc", dir === -1);
+    }
+    renderProcesses();
+  };
+}
+
+tracePidSelect.onchange = () => {
+  selectTrace(tracePidSelect.value ? Number(tracePidSelect.value) : null);
+};
+
+logLevelSelect.onchange = renderLogs;
+logFacilitySelect.onchange = renderLogs;
+logSearchInput.oninput = renderLogs;
+
+// Esporta tutto il log in memoria che passa i filtri, una riga per voce
+btnExportLogs.onclick = () => {
+  const text = kernel.getLogs(logFilter()).map(formatLogEntry).join("\n");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([`${text}\n`], { type: "text/plain" }));
+  link.download = `kernel-log-${kernel.tickCount}.log`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+// Il pulsante c'è solo con ?record: scarica la traccia in JSON
+btnExportTrace.hidden = !record;
+btnExportTrace.onclick = () => {
+  const json = JSON.stringify(kernel.getTrace());
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  link.download = `kernel-trace-${kernel.seed}-${kernel.tickCount}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  appendShellHistory(`→ Trace exported (${kernel.tickCount} ticks)`);
 };
 
 shellInputEl.addEventListener("keydown", (e) => {
+  // Ctrl+C / Ctrl+Z vanno al job in foreground, come in un terminale vero
+  // (Ctrl+C con testo selezionato resta "copia")
+  if (e.ctrlKey && (e.key === "c" || e.key === "z")) {
+    const { selectionStart, selectionEnd } = shellInputEl;
+    if (e.key === "c" && selectionStart !== selectionEnd) return;
+    e.preventDefault();
+    const signal = e.key === "c" ? "SIGINT" : "SIGTSTP";
+    appendShellHistory(e.key === "c" ? "^C" : "^Z", "shell-status");
+    shellInputEl.value = "";
+    kernel.signalForeground(signal);
+    oneTick();
+    return;
+  }
+
   if (e.key === "Enter") {
     e.preventDefault();
     const line = shellInputEl.value.trim();
@@ -208,11 +452,11 @@ shellInputEl.addEventListener("keydown", (e) => {
     appendShellHistory(`$ ${line}`);
     shellInputEl.value = "";
 
-    kernel.spawn(makeShellClientProgram(line), {
+    hostSpawn(shellClient, {
       name: "shell-client",
       priority: 1,
+      args: [line],
     });
-    oneTick();
   }
 });
 
@@ -221,7 +465,7 @@ document.addEventListener("keydown", (e) => {
   // Ctrl/Cmd + L = Clear logs
   if ((e.ctrlKey || e.metaKey) && e.key === "l") {
     e.preventDefault();
-    kernel.logs = [];
+    kernel.clearLogs();
     renderLogs();
     appendShellHistory("→ Logs cleared (Ctrl+L)");
   }
@@ -239,9 +483,13 @@ renderProcesses();
 renderPorts();
 renderVFS();
 renderLogs();
+renderScheduler();
+renderForeground();
 updateStatsDisplay();
 appendShellHistory("🚀 Shell ready. Type 'help' for commands");
-appendShellHistory("📌 Shortcuts: Ctrl+L (clear logs), Ctrl+K (focus shell)");
+appendShellHistory(
+  "📌 Shortcuts: Ctrl+L (clear logs), Ctrl+K (focus shell), Ctrl+C / Ctrl+Z (interrupt / stop job)"
+);
 appendShellHistory("");
 
 // Focus shell input on load